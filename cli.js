@@ -1,567 +1,1123 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from "fs";
-import { load, dump } from "js-yaml";
-import { resolve } from "path";
-import { dereferenceSync } from "./deref.js";
+import {
+  appendFileSync,
+  readFileSync,
+  existsSync,
+  realpathSync,
+  watch,
+} from "fs";
+import { load } from "js-yaml";
+import { resolve, relative, dirname, sep } from "path";
+import { parseArgs } from "util";
+import { fileURLToPath, pathToFileURL } from "url";
+import { defaultLoader } from "./deref.js";
+import {
+  createBpeCounter,
+  estimateTokens,
+  formatTokens,
+  parseBpeRanks,
+} from "./tokens.js";
+import {
+  diffOpenAPI,
+  generateExamples,
+  generateLlms,
+  generateWorkspace,
+  lintOpenAPI,
+} from "./generate.js";
+import { createMcpServer, runMcpServer } from "./mcp.js";
+import { createMock } from "./mock.js";
+import { MANIFEST_FILE, applyOutput, planOutput } from "./manifest.js";
+import { createMockServer, createPreviewServer } from "./serve.js";
+import { TOOL_PRESETS } from "./tools.js";
+import { SAMPLE_LANGUAGES } from "./samples.js";
+import { renderChangelog } from "./diff.js";
+import { createNamer } from "./naming.js";
+import {
+  LINT_RULES,
+  formatLintReport,
+  resolveLintConfig,
+  toSarif,
+} from "./lint.js";
+import { createDocsFetcher, createFileCache } from "./external-docs.js";
+import {
+  CONFIG_DEFAULTS,
+  FILE_KINDS,
+  STYLES,
+  validateConfig,
+} from "./filter.js";
+
+// Specs looked for in the current directory when none is given
+const DEFAULT_SPECS = ["openapi.json", "openapi.yaml", "openapi.yml"];
+
+const CONFIG_FILES = [
+  "openapi-for-llms.config.json",
+  "openapi-for-llms.config.js",
+];
+
+// Options a config file may hold besides those of filter.js
+const CONFIG_CLI_KEYS = [
+  "out",
+  "maxTokens",
+  "tools",
+  "cacheDir",
+  "offline",
+  "lint",
+  "workspace",
+];
+
+// Options of each API of a workspace besides those of filter.js
+const WORKSPACE_API_KEYS = ["spec", "name", "maxTokens", "tools"];
+
+// Report formats by command, the first being the default
+const REPORTS = {
+  lint: ["text", "json", "sarif"],
+  diff: ["markdown", "json"],
+};
+
+// Severities --fail-on accepts, from the least severe
+const FAIL_ON = ["info", "warning", "error", "none"];
+
+// CLI flag suffix for each include/exclude matcher
+const MATCHER_FLAGS = {
+  tag: "tags",
+  path: "paths",
+  method: "methods",
+  operation: "operationIds",
+};
+
+const HELP = `Usage: openapi-for-llms [input] [options]
+       openapi-for-llms mcp [input] [options]
+       openapi-for-llms serve [input] [options]
+       openapi-for-llms mock [input] [options]
+       openapi-for-llms examples [input] [options]
+       openapi-for-llms lint [input] [options]
+       openapi-for-llms diff <old> <new> [options]
+
+Generate llms.txt and per-operation/per-tag context files from an OpenAPI spec.
+
+Commands:
+  mcp                   Run a Model Context Protocol server over stdio that
+                        serves the generated context instead of writing files
+  serve                 Preview the generated files over local HTTP,
+                        regenerated on every request, without writing them
+  mock                  Run a local HTTP server answering requests like the
+                        API would, with examples from the spec or generated
+                        ones; invalid requests get 400 errors
+  examples              Print example requests and responses for every
+                        operation as JSON, generated where the spec has none
+  lint                  Report what in the spec makes for poor LLM context,
+                        with a score; exits with an error on errors
+  diff                  Print what changed between two versions of a spec
+                        as markdown (for llms-changelog.md) or JSON, with
+                        breaking changes listed first
+
+Arguments:
+  input                 Path or URL of the spec, or "-" to read from stdin.
+                        Defaults to the APIs of the config file's
+                        \`workspace\`, if it has one, else to openapi.json,
+                        openapi.yaml or openapi.yml in the current directory.
+
+Options:
+  -o, --out <dir>       Output directory (default: current directory)
+  -f, --format <fmt>    Input format: json or yaml (default: detected from content)
+  --style <style>       Format of operation and tag files next to markdown:
+                        yaml (OpenAPI subsets, default) or typescript
+                        (compact type declarations)
+  --link-schemas        Link operation and tag files to schemas/{name}.md and
+                        .yaml instead of inlining the schemas they use
+  --tools <preset>      Also write tool definitions for function calling to
+                        tools.json and tools/{tag}.json, shaped for one of:
+                        anthropic, openai, gemini, mcp
+  --max-tokens <n>      Split tag files larger than n tokens into numbered parts
+  --tokenizer <file>    Count tokens with a local BPE ranks file (tiktoken
+                        format) instead of the built-in estimate
+  --cache-dir <dir>     Where fetched external docs are cached
+                        (default: node_modules/.cache/openapi-for-llms)
+  --offline             Use cached external docs only, never fetch
+  --check               Write nothing; exit with an error if the output
+                        directory is not up to date
+  -w, --watch           Regenerate when the spec or a file it references
+                        changes
+  -p, --port <n>        Port for serve and mock (default: 3000)
+  --log <file>          Also append each request mock answers to this file,
+                        one JSON object per line (the log is served at
+                        /__mock/requests too)
+  --changelog <old>     Also write llms-changelog.md, linked from llms.txt,
+                        with what changed since this older version of the spec
+  --config <file>       Config file (default: openapi-for-llms.config.json or
+                        openapi-for-llms.config.js in the current directory)
+
+Code samples:
+  --code-samples <langs>
+                        Comma-separated languages of the request samples in
+                        operation files, or "none" (default: all):
+                        ${Object.keys(SAMPLE_LANGUAGES).join(", ")}
+  --full-code-samples   Also add the samples to llms-full.txt
+
+Examples:
+  --seed <n>            Seed of generated examples; the same seed gives the
+                        same examples (default: ${CONFIG_DEFAULTS.exampleSeed})
+  --no-synthetic-examples
+                        Only show the spec's own examples in markdown
+
+Lint and diff:
+  --report <fmt>        Report format: text (default), json or sarif for
+                        lint; markdown (default) or json for diff
+  --rule <rule=level>   Set the severity of a rule (repeatable): off, info,
+                        warning or error. Rules:
+                        ${Object.keys(LINT_RULES).join(",\n                        ")}
+  --fail-on <level>     Fail on findings of this severity or worse: info,
+                        warning, error (default) or none
+  --min-score <n>       Fail if the score (0-100) is below n
+
+Filtering (repeatable; patterns for paths and operations are globs):
+  --include-tag <tag>, --exclude-tag <tag>
+  --include-path <glob>, --exclude-path <glob>
+  --include-method <m>, --exclude-method <m>
+  --include-operation <glob>, --exclude-operation <glob>
+  --drop-deprecated     Leave out deprecated operations
+  --include-internal    Keep operations marked x-internal or x-llm-exclude
+  --strip-extensions    Remove x-* fields from the output
+  --untagged-title <t>  Section title for untagged operations (default: General)
+  --emit <kinds>        Comma-separated file kinds to write (default: all):
+                        ${FILE_KINDS.join(", ")}
+  -h, --help            Show this help
+  -v, --version         Show the version
+`;
 
 /**
- * Fetch external documentation
+ * Parse command line arguments
  */
-async function fetchExternalDocs(url) {
-  try {
-    const response = await fetch(url, {
-      headers: {
-        Accept: "text/markdown, text/plain, */*",
-      },
-    });
+function parseCLIArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      "max-tokens": { type: "string" },
+      tools: { type: "string" },
+      style: { type: "string" },
+      "link-schemas": { type: "boolean" },
+      tokenizer: { type: "string" },
+      "cache-dir": { type: "string" },
+      offline: { type: "boolean" },
+      check: { type: "boolean" },
+      watch: { type: "boolean", short: "w" },
+      port: { type: "string", short: "p" },
+      config: { type: "string" },
+      changelog: { type: "string" },
+      log: { type: "string" },
+      ...Object.fromEntries(
+        Object.keys(MATCHER_FLAGS).flatMap((name) => [
+          [`include-${name}`, { type: "string", multiple: true }],
+          [`exclude-${name}`, { type: "string", multiple: true }],
+        ])
+      ),
+      "drop-deprecated": { type: "boolean" },
+      "include-internal": { type: "boolean" },
+      "strip-extensions": { type: "boolean" },
+      "untagged-title": { type: "string" },
+      emit: { type: "string" },
+      "code-samples": { type: "string" },
+      "full-code-samples": { type: "boolean" },
+      seed: { type: "string" },
+      report: { type: "string" },
+      rule: { type: "string", multiple: true },
+      "fail-on": { type: "string" },
+      "min-score": { type: "string" },
+      "no-synthetic-examples": { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+      version: { type: "boolean", short: "v" },
+    },
+  });
 
-    if (!response.ok) {
-      console.warn(
-        `Failed to fetch external docs from ${url}: ${response.status}`
-      );
-      return null;
-    }
+  const command = ["mcp", "serve", "mock", "examples", "lint", "diff"].includes(
+    positionals[0]
+  )
+    ? positionals.shift()
+    : null;
 
-    return await response.text();
-  } catch (error) {
-    console.warn(`Error fetching external docs from ${url}:`, error.message);
-    return null;
+  if (command === "diff" && positionals.length !== 2) {
+    throw new Error(
+      `diff expects the old and the new spec, got ${positionals.length} input(s)`
+    );
+  }
+  if (command !== "diff" && positionals.length > 1) {
+    throw new Error(`Expected at most one input, got ${positionals.length}`);
   }
-}
-
-/**
- * Find referenced schemas in a JSON object
- */
-function findRefs(json, refs, refPrefix = "#/components/schemas/") {
-  if (!refs) return [];
 
-  const string = JSON.stringify(json, undefined, 0);
-  const refsIncluded = Object.keys(refs).filter((refKey) => {
-    const snippet = `"$ref":"${refPrefix}${refKey}"`;
-    return string.includes(snippet);
-  });
-  return refsIncluded;
-}
+  if (values.format && !["json", "yaml"].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}", use json or yaml`);
+  }
 
-/**
- * Create a subset of OpenAPI document with only the needed components
- */
-function createSubset(openapi, paths, operationFilter = null) {
-  const subset = {
-    openapi: openapi.openapi,
-    info: openapi.info,
-    servers: openapi.servers,
-    paths: {},
-  };
+  checkToolsPreset(values.tools);
 
-  // Add filtered paths
-  for (const [path, pathItem] of Object.entries(paths)) {
-    if (!pathItem || typeof pathItem !== "object") continue;
-
-    const filteredPathItem = {};
-    const methods = [
-      "get",
-      "post",
-      "put",
-      "patch",
-      "delete",
-      "head",
-      "options",
-      "trace",
-    ];
-
-    for (const method of methods) {
-      const operation = pathItem[method];
-      if (!operation) continue;
-
-      if (operationFilter && !operationFilter(operation, method, path))
-        continue;
-
-      filteredPathItem[method] = operation;
-    }
+  const maxTokens =
+    values["max-tokens"] === undefined
+      ? undefined
+      : Number(values["max-tokens"]);
+  checkMaxTokens(maxTokens, "--max-tokens");
 
-    if (Object.keys(filteredPathItem).length > 0) {
-      subset.paths[path] = filteredPathItem;
-    }
+  const reports = REPORTS[command === "diff" ? "diff" : "lint"];
+  const report = values.report ?? reports[0];
+  if (!reports.includes(report)) {
+    throw new Error(
+      `Unknown report format "${report}", use one of: ${reports.join(", ")}`
+    );
   }
+  const failOn = values["fail-on"] ?? "error";
+  if (!FAIL_ON.includes(failOn)) {
+    throw new Error(`--fail-on must be one of: ${FAIL_ON.join(", ")}`);
+  }
+  const minScore =
+    values["min-score"] === undefined ? 0 : Number(values["min-score"]);
+  if (!Number.isInteger(minScore) || minScore < 0 || minScore > 100) {
+    throw new Error(`--min-score must be an integer from 0 to 100`);
+  }
+  const lintRules = Object.fromEntries(
+    (values.rule || []).map((entry) => {
+      const [rule, severity] = entry.split("=").map((part) => part.trim());
+      return [rule, severity];
+    })
+  );
+  resolveLintConfig({ rules: lintRules }, "--rule");
 
-  // Find and include only referenced components
-  const neededRefs = findRefs(subset, openapi.components?.schemas);
+  const seed = values.seed === undefined ? undefined : Number(values.seed);
+  if (seed !== undefined && !Number.isSafeInteger(seed)) {
+    throw new Error(`--seed must be an integer`);
+  }
 
-  if (neededRefs.length > 0 && openapi.components?.schemas) {
-    subset.components = { schemas: {} };
-    for (const refName of neededRefs) {
-      if (openapi.components.schemas[refName]) {
-        subset.components.schemas[refName] =
-          openapi.components.schemas[refName];
-      }
+  // Filtering options, shaped like those of a config file
+  const filters = {
+    include: {},
+    exclude: {},
+    dropDeprecated: values["drop-deprecated"],
+    includeInternal: values["include-internal"],
+    stripExtensions: values["strip-extensions"],
+    untaggedTitle: values["untagged-title"],
+    emit: values.emit?.split(",").map((kind) => kind.trim()),
+    style: values.style,
+    schemaLinks: values["link-schemas"],
+    codeSamples:
+      values["code-samples"] === "none"
+        ? []
+        : values["code-samples"]?.split(",").map((language) => language.trim()),
+    fullCodeSamples: values["full-code-samples"],
+    syntheticExamples: values["no-synthetic-examples"] ? false : undefined,
+    exampleSeed: seed,
+  };
+  for (const [name, matcher] of Object.entries(MATCHER_FLAGS)) {
+    for (const group of ["include", "exclude"]) {
+      const patterns = values[`${group}-${name}`];
+      if (patterns) filters[group][matcher] = patterns;
     }
   }
+  validateConfig(filters, "command line");
 
-  // Include other components if they exist and are referenced
-  if (openapi.components) {
-    const componentTypes = [
-      "parameters",
-      "responses",
-      "examples",
-      "requestBodies",
-      "headers",
-      "securitySchemes",
-      "links",
-      "callbacks",
-    ];
-
-    for (const componentType of componentTypes) {
-      if (openapi.components[componentType]) {
-        const componentRefs = findRefs(
-          subset,
-          openapi.components[componentType],
-          `#/components/${componentType}/`
-        );
-        if (componentRefs.length > 0) {
-          if (!subset.components) subset.components = {};
-          subset.components[componentType] = {};
-          for (const refName of componentRefs) {
-            subset.components[componentType][refName] =
-              openapi.components[componentType][refName];
-          }
-        }
-      }
-    }
+  const port = Number(values.port ?? 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`--port must be a port number`);
   }
 
-  return subset;
+  return {
+    ...values,
+    maxTokens,
+    port,
+    report,
+    filters,
+    failOn,
+    minScore,
+    lintRules,
+    command,
+    input: positionals[0],
+    inputs: positionals,
+  };
 }
 
 /**
- * Generate llms.txt content according to spec
+ * Throw unless `preset` is a known tools preset (or not given)
  */
-function generateLlmsTxt(openapi, openapiFile) {
-  const operations = [];
-  const tagOperations = new Map();
-  const tagInfo = new Map();
-
-  // Collect tag information from the OpenAPI document
-  if (openapi.tags) {
-    for (const tag of openapi.tags) {
-      tagInfo.set(tag.name, tag);
-      tagOperations.set(tag.name, []);
-    }
+function checkToolsPreset(preset) {
+  if (preset !== undefined && !TOOL_PRESETS.includes(preset)) {
+    throw new Error(
+      `Unknown tools preset "${preset}", use one of: ${TOOL_PRESETS.join(", ")}`
+    );
   }
+}
 
-  // Collect untagged operations
-  const untaggedOperations = [];
-
-  // Collect all operations and organize by tags
-  for (const [path, pathItem] of Object.entries(openapi.paths || {})) {
-    if (!pathItem || typeof pathItem !== "object") continue;
-
-    const methods = [
-      "get",
-      "post",
-      "put",
-      "patch",
-      "delete",
-      "head",
-      "options",
-      "trace",
-    ];
-
-    for (const method of methods) {
-      const operation = pathItem[method];
-      if (!operation) continue;
-
-      const operationId =
-        operation.operationId ||
-        `${path.slice(1).replace(/[^a-zA-Z0-9]/g, "_")}_${method}`;
-
-      const operationData = {
-        operationId,
-        method: method.toUpperCase(),
-        path,
-        summary: operation.summary || `${method.toUpperCase()} ${path}`,
-        description: operation.description,
-        tags: operation.tags || [],
-      };
-
-      operations.push(operationData);
-
-      // Organize by tags
-      if (operation.tags && operation.tags.length > 0) {
-        for (const tag of operation.tags) {
-          if (!tagOperations.has(tag)) {
-            tagOperations.set(tag, []);
-          }
-          tagOperations.get(tag).push(operationData);
-        }
-      } else {
-        untaggedOperations.push(operationData);
-      }
-    }
+/**
+ * Throw unless `maxTokens` is a positive integer (or not given)
+ */
+function checkMaxTokens(maxTokens, name) {
+  if (
+    maxTokens !== undefined &&
+    !(Number.isInteger(maxTokens) && maxTokens > 0)
+  ) {
+    throw new Error(`${name} must be a positive integer`);
   }
+}
 
-  // Generate llms.txt content according to spec
-  let content = `# ${openapi.info?.title || "API"}\n\n`;
-
-  // Required blockquote with summary
-  let summary = "";
-  if (openapi.info?.description) {
-    // Take first paragraph or sentence as summary
-    summary = openapi.info.description.split("\n")[0].split(".")[0] + ".";
-  } else {
-    summary = `API documentation for ${openapi.info?.title || "this service"}.`;
+/**
+ * Check the `workspace` option of a config file, throwing on the first
+ * problem: `apis` lists each API's `spec` and, optionally, its `name` and
+ * options of its own
+ */
+function validateWorkspace(workspace, source) {
+  if (!workspace || typeof workspace !== "object" || Array.isArray(workspace)) {
+    throw new Error(`${source}: must be an object`);
   }
-  content += `> ${summary}\n\n`;
-
-  // Optional details section
-  let details = [];
-
-  if (openapi.info?.version) {
-    details.push(`**Version:** ${openapi.info.version}`);
+  for (const key of Object.keys(workspace)) {
+    if (!["apis", "title", "description", "merged"].includes(key)) {
+      throw new Error(`${source}: unknown option "${key}"`);
+    }
   }
-
-  if (openapi.servers && openapi.servers.length > 0) {
-    details.push(`**Base URL:** ${openapi.servers[0].url}`);
+  for (const key of ["title", "description", "merged"]) {
+    if (workspace[key] !== undefined && typeof workspace[key] !== "string") {
+      throw new Error(`${source}: \`${key}\` must be a string`);
+    }
   }
-
-  if (
-    openapi.info?.contact?.name ||
-    openapi.info?.contact?.email ||
-    openapi.info?.contact?.url
-  ) {
-    let contactInfo = "**Contact:**";
-    if (openapi.info.contact.name)
-      contactInfo += ` ${openapi.info.contact.name}`;
-    if (openapi.info.contact.email)
-      contactInfo += ` <${openapi.info.contact.email}>`;
-    if (openapi.info.contact.url)
-      contactInfo += ` (${openapi.info.contact.url})`;
-    details.push(contactInfo);
+  if (!Array.isArray(workspace.apis) || workspace.apis.length === 0) {
+    throw new Error(`${source}: \`apis\` must list at least one API`);
   }
+  workspace.apis.forEach((api, i) => {
+    const where = `${source}: \`apis[${i}]\``;
+    if (!api || typeof api !== "object" || typeof api.spec !== "string") {
+      throw new Error(`${where} must be an object with a \`spec\` path or URL`);
+    }
+    for (const key of Object.keys(api)) {
+      if (!(key in CONFIG_DEFAULTS) && !WORKSPACE_API_KEYS.includes(key)) {
+        throw new Error(`${where}: unknown option "${key}"`);
+      }
+    }
+    if (api.name !== undefined && typeof api.name !== "string") {
+      throw new Error(`${where}: \`name\` must be a string`);
+    }
+    validateConfig(api, where);
+    checkToolsPreset(api.tools);
+    checkMaxTokens(api.maxTokens, `${where}: \`maxTokens\``);
+  });
+}
 
-  if (openapi.info?.license?.name) {
-    let licenseInfo = `**License:** ${openapi.info.license.name}`;
-    if (openapi.info.license.url)
-      licenseInfo += ` (${openapi.info.license.url})`;
-    details.push(licenseInfo);
+/**
+ * Find and load the config file: the one given with --config, else
+ * openapi-for-llms.config.json or .js in `cwd`. Returns an empty config when
+ * there is none. Relative paths in it are resolved against its directory.
+ */
+async function loadConfig(cwd, file) {
+  const path = file
+    ? resolve(cwd, file)
+    : CONFIG_FILES.map((name) => resolve(cwd, name)).find(existsSync);
+  if (!path) return {};
+  if (!existsSync(path)) throw new Error(`Config file not found: ${file}`);
+
+  const name = relative(cwd, path);
+  const config = path.endsWith(".json")
+    ? JSON.parse(readFileSync(path, "utf8"))
+    : (await import(pathToFileURL(path).href)).default;
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${name}: must hold an object of options`);
   }
 
-  if (
-    openapi.info?.description &&
-    openapi.info.description.length > summary.length
-  ) {
-    // Add full description if it's longer than the summary
-    const fullDescription = openapi.info.description
-      .replace(summary, "")
-      .trim();
-    if (fullDescription) {
-      details.push(fullDescription);
+  for (const key of Object.keys(config)) {
+    if (!(key in CONFIG_DEFAULTS) && !CONFIG_CLI_KEYS.includes(key)) {
+      throw new Error(`${name}: unknown option "${key}"`);
     }
   }
-
-  if (details.length > 0) {
-    content += details.join("\n\n") + "\n\n";
+  validateConfig(config, name);
+  checkToolsPreset(config.tools);
+  checkMaxTokens(config.maxTokens, `${name}: \`maxTokens\``);
+  if (config.lint !== undefined)
+    resolveLintConfig(config.lint, `${name}: \`lint\``);
+  if (config.workspace !== undefined) {
+    validateWorkspace(config.workspace, `${name}: \`workspace\``);
+    for (const api of config.workspace.apis) {
+      if (!/^https?:\/\//.test(api.spec)) {
+        api.spec = resolve(dirname(path), api.spec);
+      }
+    }
   }
 
-  content += `[Full OpenAPI Spec](${openapiFile})\n\n`;
+  for (const key of ["out", "cacheDir"]) {
+    if (config[key] !== undefined) {
+      config[key] = resolve(dirname(path), config[key]);
+    }
+  }
+  return config;
+}
 
-  // Add sections for each tag (H2 headers)
-  const sortedTags = Array.from(tagOperations.keys()).sort();
+/**
+ * Combine config file options with those given on the command line, which
+ * take precedence; `include`/`exclude` are combined per matcher
+ */
+function mergeConfig(config, flags) {
+  const merged = { ...config };
+  for (const [key, value] of Object.entries(flags)) {
+    if (value === undefined) continue;
+    merged[key] =
+      key === "include" || key === "exclude"
+        ? { ...config[key], ...value }
+        : value;
+  }
+  return merged;
+}
 
-  for (const tag of sortedTags) {
-    const ops = tagOperations.get(tag);
-    if (ops.length === 0) continue;
+/**
+ * Detect whether spec content is JSON or YAML
+ */
+function detectFormat(text) {
+  return /^\s*[{[]/.test(text) ? "json" : "yaml";
+}
 
-    const tagData = tagInfo.get(tag);
-    const sectionName = tagData?.name || tag;
+/**
+ * Parse spec content as JSON or YAML
+ */
+function parseSpec(text, format = detectFormat(text)) {
+  return format === "json" ? JSON.parse(text) : load(text);
+}
 
-    content += `## ${sectionName}\n\n`;
+/**
+ * Read all of stdin as a string
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
 
-    // Add tag description if available
-    if (tagData?.description) {
-      content += `${tagData.description}\n\n`;
+/**
+ * Locate and read the spec given on the command line. `baseUrl` is what
+ * relative $refs resolve against; for stdin that is the working directory.
+ */
+async function readInput(input, cwd) {
+  if (!input) {
+    const candidate = DEFAULT_SPECS.find((name) =>
+      existsSync(resolve(cwd, name))
+    );
+    if (!candidate) {
+      throw new Error(
+        "No openapi.json, openapi.yaml, or openapi.yml found in current directory"
+      );
     }
+    input = candidate;
+  }
 
-    content += `- [${sectionName} operations](tags/${tag}.yaml) All '${sectionName}' operations in one file\n`;
-
-    // List operations for this tag
-    for (const op of ops) {
-      const linkText = `${op.method} ${op.path}`;
-      const linkUrl = `operations/${op.operationId}.yaml`;
-      let linkLine = `- [${linkText}](${linkUrl})`;
-
-      if (op.summary && op.summary !== `${op.method} ${op.path}`) {
-        linkLine += `: ${op.summary}`;
-      } else if (op.description) {
-        // Use first sentence of description if no summary
-        const firstSentence = op.description.split(".")[0] + ".";
-        linkLine += `: ${firstSentence}`;
-      }
+  if (input === "-") {
+    return {
+      source: "stdin",
+      baseUrl: pathToFileURL(resolve(cwd) + "/").href,
+      text: await readStdin(),
+    };
+  }
 
-      content += linkLine + "\n";
+  if (/^https?:\/\//.test(input)) {
+    const response = await fetch(input);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${input}: ${response.status}`);
     }
-    content += "\n";
+    return {
+      source: input,
+      url: input,
+      baseUrl: input,
+      text: await response.text(),
+    };
   }
 
-  // Add untagged operations if any exist
-  if (untaggedOperations.length > 0) {
-    content += `## General\n\n`;
-    content += `- [General operations](tags/untagged.yaml) All untagged operations in one file\n`;
-
-    for (const op of untaggedOperations) {
-      const linkText = `${op.method} ${op.path}`;
-      const linkUrl = `operations/${op.operationId}.yaml`;
-      let linkLine = `- [${linkText}](${linkUrl})`;
-
-      if (op.summary && op.summary !== `${op.method} ${op.path}`) {
-        linkLine += `: ${op.summary}`;
-      } else if (op.description) {
-        const firstSentence = op.description.split(".")[0] + ".";
-        linkLine += `: ${firstSentence}`;
-      }
-
-      content += linkLine + "\n";
-    }
-    content += "\n";
+  const path = resolve(cwd, input);
+  if (!existsSync(path)) {
+    throw new Error(`File not found: ${input}`);
   }
+  return {
+    source: input,
+    path,
+    baseUrl: pathToFileURL(path).href,
+    text: readFileSync(path, "utf8"),
+  };
+}
 
-  return content;
+/**
+ * Print a warning from generation
+ */
+function printWarning(warning) {
+  console.warn(`Warning: ${warning.message}`);
+}
+
+/**
+ * Version of this package
+ */
+function readVersion() {
+  const pkg = JSON.parse(
+    readFileSync(new URL("./package.json", import.meta.url), "utf8")
+  );
+  return pkg.version;
 }
 
 /**
- * Process OpenAPI document and generate all files
+ * CLI functionality
  */
-async function processOpenAPI(openapi, openapiFile) {
-  const files = {};
+async function runCLI(argv = process.argv.slice(2)) {
+  const cwd = process.cwd();
 
+  let args;
   try {
-    // Dereference the OpenAPI document for processing
-    const dereferenced = dereferenceSync(openapi);
+    args = parseCLIArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(`Run "openapi-for-llms --help" for usage.`);
+    process.exit(1);
+  }
 
-    // Generate main llms.txt
-    files["llms.txt"] = { content: generateLlmsTxt(dereferenced, openapiFile) };
+  if (args.help) {
+    console.log(HELP);
+    return;
+  }
 
-    // Collect operations and tags
-    const operations = [];
-    const tags = new Set();
-    const tagInfo = new Map();
+  if (args.version) {
+    console.log(readVersion());
+    return;
+  }
 
-    // Collect tag information from the OpenAPI document
-    if (openapi.tags) {
-      for (const tag of openapi.tags) {
-        tagInfo.set(tag.name, tag);
-      }
+  let config;
+  let countTokens;
+  try {
+    config = mergeConfig(await loadConfig(cwd, args.config), {
+      ...args.filters,
+      out: args.out,
+      maxTokens: args.maxTokens,
+      tools: args.tools,
+      cacheDir: args["cache-dir"],
+      offline: args.offline,
+    });
+    if (args.tokenizer) {
+      const ranks = parseBpeRanks(
+        readFileSync(resolve(cwd, args.tokenizer), "utf8")
+      );
+      countTokens = createBpeCounter(ranks);
     }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 
-    for (const [path, pathItem] of Object.entries(dereferenced.paths || {})) {
-      if (!pathItem || typeof pathItem !== "object") continue;
-
-      const methods = [
-        "get",
-        "post",
-        "put",
-        "patch",
-        "delete",
-        "head",
-        "options",
-        "trace",
-      ];
-
-      for (const method of methods) {
-        const operation = pathItem[method];
-        if (!operation) continue;
-
-        const operationId =
-          operation.operationId ||
-          `${path.slice(1).replace(/[^a-zA-Z0-9]/g, "_")}_${method}`;
-        const operationTags = operation.tags || [];
-
-        operations.push({
-          operationId,
-          path,
-          method,
-          operation,
-          tags: operationTags,
-        });
-
-        operationTags.forEach((tag) => tags.add(tag));
-
-        // Fetch external docs for operation if present
-        if (operation.externalDocs?.url) {
-          const docs = await fetchExternalDocs(operation.externalDocs.url);
-          if (docs) {
-            files[`operations/${operationId}-docs.md`] = { content: docs };
-          }
+  const { out, cacheDir, offline, workspace, ...options } = config;
+  const outDir = resolve(cwd, out || ".");
+  const fetchDocs = createDocsFetcher({
+    cache: createFileCache(
+      resolve(cwd, cacheDir || "node_modules/.cache/openapi-for-llms")
+    ),
+    offline,
+  });
+  const generateOptions = { ...options, countTokens, fetchDocs };
+
+  if (args.command === "mcp") {
+    // stdin carries the protocol, so the spec cannot be read from it
+    if (args.input === "-") {
+      console.error("mcp needs a spec path or URL, not stdin");
+      process.exit(1);
+    }
+    // stdout carries the protocol, so nothing else may be printed there
+    let input;
+    let server;
+    try {
+      input = await readInput(args.input, cwd);
+      server = await createMcpServer(
+        parseSpec(input.text, args.format),
+        input.url || input.source,
+        {
+          ...generateOptions,
+          onWarning: printWarning,
+          version: readVersion(),
+          baseUrl: input.baseUrl,
         }
-      }
+      );
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    console.error(
+      `Serving ${Object.keys(server.files).length} files from ${input.source} over MCP (stdio)`
+    );
+    await runMcpServer(server);
+    return;
+  }
+
+  if (args.command === "mock") {
+    let input;
+    let mock;
+    try {
+      input = await readInput(args.input, cwd);
+      mock = await createMock(parseSpec(input.text, args.format), {
+        ...generateOptions,
+        baseUrl: input.baseUrl,
+      });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
     }
 
-    // Generate operation files
-    for (const { operationId, path, method, operation } of operations) {
-      const operationSubset = createSubset(
-        openapi, // Use original openapi to preserve refs
-        { [path]: { [method]: operation } }
+    const logFile = args.log && resolve(cwd, args.log);
+    const server = createMockServer(mock, {
+      onRequest: (entry) => {
+        console.log(
+          `${entry.method} ${entry.path} -> ${entry.status}${
+            entry.operationId ? ` (${entry.operationId})` : ""
+          }`
+        );
+        if (logFile) appendFileSync(logFile, JSON.stringify(entry) + "\n");
+      },
+    });
+    server.on("error", (error) => {
+      console.error(`Could not start the mock server: ${error.message}`);
+      process.exit(1);
+    });
+    server.listen(args.port, () => {
+      console.log(
+        `Mocking ${mock.operations} operations of ${
+          input.source
+        } at http://localhost:${server.address().port}`
       );
+    });
+    return;
+  }
 
-      files[`operations/${operationId}.yaml`] = {
-        content: dump(operationSubset, { noRefs: true, indent: 2 }),
-      };
+  if (args.command === "examples") {
+    try {
+      const input = await readInput(args.input, cwd);
+      const examples = await generateExamples(
+        parseSpec(input.text, args.format),
+        {
+          ...generateOptions,
+          baseUrl: input.baseUrl,
+        }
+      );
+      console.log(JSON.stringify(examples, null, 2));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
     }
+    return;
+  }
 
-    // Generate tag files and fetch external docs
-    for (const tag of tags) {
-      const tagPaths = {};
-
-      for (const [path, pathItem] of Object.entries(openapi.paths || {})) {
-        if (!pathItem || typeof pathItem !== "object") continue;
-
-        const methods = [
-          "get",
-          "post",
-          "put",
-          "patch",
-          "delete",
-          "head",
-          "options",
-          "trace",
-        ];
-        const filteredPathItem = {};
-
-        for (const method of methods) {
-          const operation = pathItem[method];
-          if (!operation) continue;
+  if (args.command === "lint") {
+    let input;
+    let result;
+    try {
+      input = await readInput(args.input, cwd);
+      result = await lintOpenAPI(parseSpec(input.text, args.format), {
+        ...generateOptions,
+        baseUrl: input.baseUrl,
+        lint: {
+          ...options.lint,
+          rules: { ...options.lint?.rules, ...args.lintRules },
+        },
+      });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
 
-          if (operation.tags?.includes(tag)) {
-            filteredPathItem[method] = operation;
-          }
-        }
+    if (args.report === "json") {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (args.report === "sarif") {
+      const sarif = toSarif(result, {
+        uri: input.url || (input.path && relative(cwd, input.path)),
+        version: readVersion(),
+      });
+      console.log(JSON.stringify(sarif, null, 2));
+    } else {
+      process.stdout.write(formatLintReport(result));
+    }
 
-        if (Object.keys(filteredPathItem).length > 0) {
-          tagPaths[path] = filteredPathItem;
-        }
-      }
+    const failing = FAIL_ON.slice(FAIL_ON.indexOf(args.failOn));
+    const failed =
+      result.findings.some(({ severity }) => failing.includes(severity)) ||
+      result.score < args.minScore;
+    if (failed) process.exitCode = 1;
+    return;
+  }
 
-      if (Object.keys(tagPaths).length > 0) {
-        const tagSubset = createSubset(openapi, tagPaths);
-        files[`tags/${tag}.yaml`] = {
-          content: dump(tagSubset, { noRefs: true, indent: 2 }),
-        };
-
-        // Fetch external docs for tag if present
-        const tagData = tagInfo.get(tag);
-        if (tagData?.externalDocs?.url) {
-          const docs = await fetchExternalDocs(tagData.externalDocs.url);
-          if (docs) {
-            files[`tags/${tag}-docs.md`] = { content: docs };
-          }
+  if (args.command === "diff") {
+    try {
+      const [previous, input] = await Promise.all(
+        args.inputs.map((name) => readInput(name, cwd))
+      );
+      const diff = await diffOpenAPI(
+        parseSpec(previous.text, args.format),
+        parseSpec(input.text, args.format),
+        {
+          ...generateOptions,
+          previousBaseUrl: previous.baseUrl,
+          baseUrl: input.baseUrl,
         }
+      );
+      if (args.report === "json") {
+        console.log(JSON.stringify(diff, null, 2));
+      } else {
+        process.stdout.write(renderChangelog(diff));
       }
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
     }
+    return;
+  }
 
-    // Handle untagged operations
-    const untaggedPaths = {};
-    for (const [path, pathItem] of Object.entries(openapi.paths || {})) {
-      if (!pathItem || typeof pathItem !== "object") continue;
-
-      const methods = [
-        "get",
-        "post",
-        "put",
-        "patch",
-        "delete",
-        "head",
-        "options",
-        "trace",
-      ];
-      const filteredPathItem = {};
-
-      for (const method of methods) {
-        const operation = pathItem[method];
-        if (!operation) continue;
-
-        if (!operation.tags || operation.tags.length === 0) {
-          filteredPathItem[method] = operation;
-        }
-      }
+  // With a workspace in the config file and no spec given, every API of
+  // the workspace is generated
+  const generateAll =
+    workspace && !args.input
+      ? (dir, options) =>
+          generateWorkspaceFiles(workspace, args, cwd, dir, options)
+      : (dir, options) => generateFiles(args, cwd, dir, options);
+  if (workspace && !args.input && args.changelog) {
+    console.error("--changelog needs a single spec, not a workspace");
+    process.exit(1);
+  }
 
-      if (Object.keys(filteredPathItem).length > 0) {
-        untaggedPaths[path] = filteredPathItem;
-      }
+  if (args.command === "serve") {
+    if (args.input === "-") {
+      console.error("serve needs a spec path or URL, not stdin");
+      process.exit(1);
     }
+    const generate = async () =>
+      (await generateAll(null, generateOptions)).files;
+    const server = createPreviewServer(generate);
+    server.on("error", (error) => {
+      console.error(`Could not start the preview server: ${error.message}`);
+      process.exit(1);
+    });
+    server.listen(args.port, () => {
+      console.log(
+        `Previewing ${
+          args.input || "the spec in this directory"
+        } at http://localhost:${server.address().port}/llms.txt`
+      );
+    });
+    return;
+  }
+
+  // Generate and write (or check) the output once
+  const build = async () => {
+    const { input, files, loaded } = await generateAll(outDir, generateOptions);
+    const upToDate = writeOutput(cwd, outDir, input, files, args.check);
+    return { input, upToDate, loaded };
+  };
 
-    if (Object.keys(untaggedPaths).length > 0) {
-      const untaggedSubset = createSubset(openapi, untaggedPaths);
-      files["tags/untagged.yaml"] = {
-        content: dump(untaggedSubset, { noRefs: true, indent: 2 }),
-      };
+  if (!args.watch) {
+    try {
+      const { upToDate } = await build();
+      if (!upToDate) process.exit(1);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
     }
-  } catch (error) {
-    console.error("Error processing OpenAPI:", error.message);
+    return;
+  }
+
+  if (
+    args.check ||
+    args.input === "-" ||
+    /^https?:\/\//.test(args.input) ||
+    (workspace &&
+      !args.input &&
+      workspace.apis.some(({ spec }) => /^https?:\/\//.test(spec)))
+  ) {
+    console.error(
+      "--watch needs a local spec file and cannot be combined with --check"
+    );
     process.exit(1);
   }
+  const specs =
+    workspace && !args.input
+      ? workspace.apis.map(({ spec }) => spec)
+      : [
+          args.input ||
+            DEFAULT_SPECS.find((name) => existsSync(resolve(cwd, name))),
+        ];
+  await watchBuild(
+    build,
+    specs.filter(Boolean).map((spec) => resolve(cwd, spec))
+  );
+}
 
-  return files;
+/**
+ * How files generated into `dir` link to the spec read as `input`: by its
+ * URL, or its path relative to `dir`. Without `dir` (when serving) or for
+ * stdin, `specCopy` is the spec's text, to be added as `openapiFile`.
+ */
+function specLink(input, dir, format) {
+  if (input.url) return { openapiFile: input.url, specCopy: null };
+  if (input.path && dir) {
+    return {
+      openapiFile: relative(dir, input.path).split(sep).join("/"),
+      specCopy: null,
+    };
+  }
+  return {
+    openapiFile: `openapi.${format || detectFormat(input.text)}`,
+    specCopy: input.text,
+  };
 }
 
 /**
- * CLI functionality
+ * Read and parse the spec, and generate its files in memory. Returns the
+ * input, the files and the URLs of every document the spec references.
+ * With --changelog, llms-changelog.md compares the spec with the older
+ * version given.
+ *
+ * Links to the spec are made relative to `outDir`. Specs read from stdin
+ * have no location, so without `outDir` (when serving) or for stdin a copy
+ * of the spec is added next to llms.txt instead.
  */
-async function runCLI() {
-  const cwd = process.cwd();
+async function generateFiles(args, cwd, outDir, options) {
+  const input = await readInput(args.input, cwd);
+  const openapiContent = parseSpec(input.text, args.format);
+
+  const { openapiFile, specCopy } = specLink(input, outDir, args.format);
+
+  const baseUrl = input.baseUrl;
+  let changelog;
+  if (args.changelog) {
+    const previous = await readInput(args.changelog, cwd);
+    changelog = renderChangelog(
+      await diffOpenAPI(parseSpec(previous.text, args.format), openapiContent, {
+        ...options,
+        previousBaseUrl: previous.baseUrl,
+        baseUrl,
+      })
+    );
+  }
 
-  // Look for OpenAPI file
-  let openapiFile = null;
-  let openapiContent = null;
+  const loaded = [];
+  const { files, warnings } = await generateLlms(openapiContent, openapiFile, {
+    ...options,
+    changelog,
+    baseUrl,
+    loader: (url) => {
+      loaded.push(url);
+      return defaultLoader(url);
+    },
+  });
+  warnings.forEach(printWarning);
 
-  if (existsSync(resolve(cwd, "openapi.json"))) {
-    openapiFile = "openapi.json";
-    openapiContent = JSON.parse(
-      readFileSync(resolve(cwd, openapiFile), "utf8")
-    );
-  } else if (existsSync(resolve(cwd, "openapi.yaml"))) {
-    openapiFile = "openapi.yaml";
-    openapiContent = load(readFileSync(resolve(cwd, openapiFile), "utf8"));
-  } else if (existsSync(resolve(cwd, "openapi.yml"))) {
-    openapiFile = "openapi.yml";
-    openapiContent = load(readFileSync(resolve(cwd, openapiFile), "utf8"));
-  } else {
-    console.error(
-      "No openapi.json, openapi.yaml, or openapi.yml found in current directory"
+  if (specCopy !== null) {
+    files[openapiFile] = {
+      content: specCopy,
+      tokens: (options.countTokens || estimateTokens)(specCopy),
+    };
+  }
+
+  return { input, files, loaded };
+}
+
+/**
+ * Read and parse the spec of every API of a workspace, and generate their
+ * files in memory, like generateFiles: each API into a directory named
+ * after it (or its title), with a root llms.txt.
+ */
+async function generateWorkspaceFiles(workspace, args, cwd, outDir, options) {
+  const names = createNamer({
+    reserved: workspace.merged ? [workspace.merged] : [],
+  });
+  const loaded = [];
+  const apis = [];
+  const copies = {};
+  for (const { spec, name, ...apiOptions } of workspace.apis) {
+    const input = await readInput(spec, cwd);
+    const openapi = parseSpec(input.text, args.format);
+    const dir = names(name ?? openapi.info?.title ?? "api");
+    const { openapiFile, specCopy } = specLink(
+      input,
+      outDir && resolve(outDir, dir),
+      args.format
     );
-    process.exit(1);
+    if (specCopy !== null) copies[`${dir}/${openapiFile}`] = specCopy;
+    if (input.path) loaded.push(pathToFileURL(input.path).href);
+    apis.push({
+      name: dir,
+      openapi,
+      openapiFile,
+      baseUrl: input.baseUrl,
+      options: apiOptions,
+    });
   }
 
-  console.log(`Found ${openapiFile}, processing...`);
+  const { files, warnings } = await generateWorkspace(apis, {
+    ...options,
+    title: workspace.title,
+    description: workspace.description,
+    merged: workspace.merged,
+    loader: (url) => {
+      loaded.push(url);
+      return defaultLoader(url);
+    },
+  });
+  warnings.forEach(printWarning);
 
-  // Process the OpenAPI document
-  const files = await processOpenAPI(openapiContent, openapiFile);
+  for (const [path, content] of Object.entries(copies)) {
+    files[path] = {
+      content,
+      tokens: (options.countTokens || estimateTokens)(content),
+    };
+  }
 
-  // Write all files
-  for (const [filePath, fileData] of Object.entries(files)) {
-    const fullPath = resolve(cwd, filePath);
-    const dir = resolve(fullPath, "..");
+  return {
+    input: { source: `${apis.length} workspace APIs` },
+    files,
+    loaded,
+  };
+}
 
-    // Create directory if it doesn't exist
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
+/**
+ * Write generated files to `outDir`, or with `check` only report what is
+ * out of date. Returns false when checking found the output out of date.
+ */
+function writeOutput(cwd, outDir, input, files, check) {
+  const plan = planOutput(outDir, files);
+  const outOfDate = [...plan.write, ...plan.remove];
+  const show = (path) => relative(cwd, resolve(outDir, path)) || path;
+
+  if (check) {
+    for (const path of plan.write) console.log(`Out of date: ${show(path)}`);
+    for (const path of plan.remove) console.log(`Stale: ${show(path)}`);
+    if (outOfDate.length > 0 || plan.manifestChanged) {
+      console.error(
+        `\n${outOfDate.length} generated file(s) out of date, run openapi-for-llms to update them`
+      );
+      return false;
     }
+    console.log(`All ${plan.unchanged.length} generated files are up to date`);
+    return true;
+  }
 
-    writeFileSync(fullPath, fileData.content, "utf8");
-    console.log(`Created: ${filePath}`);
+  // Write new and changed files, and remove those no longer generated
+  for (const path of plan.overwrite) {
+    console.warn(
+      `Warning: overwriting ${show(path)}, which ${MANIFEST_FILE} does not list as generated`
+    );
+  }
+  applyOutput(outDir, files, plan);
+  for (const path of plan.write) {
+    console.log(`Wrote: ${show(path)} (${formatTokens(files[path].tokens)})`);
+  }
+  for (const path of plan.remove) {
+    console.log(`Removed: ${show(path)}`);
   }
 
   console.log(
-    `\nGenerated ${Object.keys(files).length} files from ${openapiFile}`
+    `\nGenerated ${Object.keys(files).length} files from ${input.source} (${
+      plan.write.length
+    } written, ${plan.unchanged.length} unchanged, ${
+      plan.remove.length
+    } removed)`
+  );
+  const typescript = Object.values(files).filter(
+    (file) => file.yamlTokens !== undefined
+  );
+  if (typescript.length > 0) {
+    const sum = (key) =>
+      typescript.reduce((total, file) => total + file[key], 0);
+    const tokens = sum("tokens");
+    const yamlTokens = sum("yamlTokens");
+    console.log(
+      `TypeScript files: ${formatTokens(tokens)}, ${formatTokens(
+        yamlTokens
+      )} as YAML (${Math.round((1 - tokens / yamlTokens) * 100)}% saved)`
+    );
+  }
+  console.log(
+    `Main overview available in ${relative(cwd, resolve(outDir, "llms.txt"))}`
   );
-  console.log("Main overview available in llms.txt");
+  return true;
 }
 
-// Export the function for programmatic use
-export { processOpenAPI };
+/**
+ * Run `build` now and again whenever one of the `specs` (paths) or a local
+ * file they reference changes. Failed builds are reported and the watch
+ * goes on, still watching the specs so fixing them rebuilds.
+ */
+async function watchBuild(build, specs) {
+  const watchers = new Map(); // directory -> fs.FSWatcher
+  let watched = new Set(specs);
+  let timer = null;
+  let running = false;
+  let queued = false;
+
+  const run = async () => {
+    if (running) {
+      queued = true;
+      return;
+    }
+    running = true;
+    try {
+      const { input, loaded } = await build();
+      watched = new Set(
+        [
+          ...specs,
+          input.path,
+          ...loaded
+            .filter((url) => url.startsWith("file:"))
+            .map((url) => fileURLToPath(url)),
+        ].filter(Boolean)
+      );
+    } catch (error) {
+      console.error(error.message);
+    }
+    running = false;
+
+    // Watch directories rather than files, since editors often replace a
+    // file on save instead of changing it
+    const dirs = new Set([...watched].map((path) => dirname(path)));
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      watchers.set(
+        dir,
+        watch(dir, (event, name) => {
+          if (name && watched.has(resolve(dir, name.toString()))) schedule();
+        })
+      );
+    }
+    console.log(`\nWatching ${watched.size} file(s) for changes...`);
+
+    if (queued) {
+      queued = false;
+      schedule();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, 100);
+  };
+
+  await run();
+}
+
+/**
+ * Whether this module is the script node was started with, through the
+ * symlink npm puts in node_modules/.bin or otherwise, rather than imported
+ */
+function isMainModule() {
+  if (!process.argv[1]) return false;
+  try {
+    return (
+      realpathSync(process.argv[1]) ===
+      realpathSync(fileURLToPath(import.meta.url))
+    );
+  } catch {
+    return false;
+  }
+}
 
-// Run CLI if this file is executed directly
-if (!!process.argv[1]) {
-  console.log("running cli");
+if (isMainModule()) {
   runCLI();
 }
@@ -1,6 +1,8 @@
 /* eslint-disable sonarjs/cognitive-complexity */
 /* eslint-disable sonarjs/no-nested-assignment */
 /* eslint-disable no-restricted-syntax */
+import { load } from "js-yaml";
+import { ERROR_CODES, OpenAPIForLLMsError } from "./errors.js";
 /**
  * klona/json - MIT License
  *
@@ -52,10 +54,10 @@ export function klona(val) {
  * @returns {unknown}
  */
 export const resolveRefSync = (schema, ref) => {
-  if (!cache.has(schema)) {
-    cache.set(schema, new Map());
+  if (!refCache.has(schema)) {
+    refCache.set(schema, new Map());
   }
-  const schemaCache = cache.get(schema);
+  const schemaCache = refCache.get(schema);
 
   if (schemaCache.has(ref)) {
     return schemaCache.get(ref);
@@ -111,7 +113,8 @@ export const resolveRefSync = (schema, ref) => {
  */
 
 const PROHIBITED_KEYS = new Set(["__proto__", "constructor", "prototype"]);
-const cache = new Map();
+const cache = new WeakMap(); // document -> dereferenced document
+const refCache = new WeakMap(); // schema -> Map of ref -> resolved value
 
 /**
  * Removes prohibited keys from an object (shallow).
@@ -127,6 +130,7 @@ function filterProhibitedKeys(obj) {
 /**
  * Resolves all $ref pointers in a schema and returns a new schema without any $ref pointers.
  * Handles circular references by keeping them as $ref pointers and deeply nested $refs.
+ * Fields next to a $ref (OpenAPI 3.1) are kept and override those of its target.
  * @param {JSONSchema} schema - The JSON schema to dereference.
  * @returns {DereferencedJSONSchema} The dereferenced schema.
  */
@@ -161,15 +165,30 @@ export const dereferenceSync = (schema) => {
     if ("$ref" in current && typeof current.$ref === "string") {
       const ref = current.$ref;
 
+      // Fields next to $ref (allowed in OpenAPI 3.1) override the target
+      const siblings = {};
+      for (const [key, value] of Object.entries(current)) {
+        if (key !== "$ref" && !PROHIBITED_KEYS.has(key)) {
+          siblings[key] = resolve(value, `${path}/${key}`);
+        }
+      }
+      const withSiblings = (value) =>
+        Object.keys(siblings).length > 0 &&
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value)
+          ? { ...value, ...siblings }
+          : value;
+
       // Check if this ref is currently being resolved (circular reference)
       if (resolving.has(ref)) {
         // Keep circular references as $ref pointers
-        return { $ref: ref };
+        return withSiblings({ $ref: ref });
       }
 
       // Check if we've already resolved this ref
       if (resolved.has(ref)) {
-        return resolved.get(ref);
+        return withSiblings(resolved.get(ref));
       }
 
       // Mark this ref as being resolved
@@ -185,7 +204,7 @@ export const dereferenceSync = (schema) => {
         // Recursively resolve the target
         const resolvedTarget = resolve(refTarget, ref);
         resolved.set(ref, resolvedTarget);
-        return resolvedTarget;
+        return withSiblings(resolvedTarget);
       } finally {
         // Always remove from resolving set when done
         resolving.delete(ref);
@@ -203,6 +222,233 @@ export const dereferenceSync = (schema) => {
   };
 
   const result = resolve(cloned, "#");
-  cache.set(schema, result);
+  if (typeof schema === "object" && schema !== null) cache.set(schema, result);
   return result;
 };
+
+/**
+ * Parses a loaded document as JSON or YAML, based on its content.
+ * @param {string} text
+ * @returns {JSONSchema}
+ */
+export const parseDocument = (text) =>
+  /^\s*[{[]/.test(text) ? JSON.parse(text) : load(text);
+
+/**
+ * Loads a document by absolute URL. `file:` URLs are read from disk and
+ * everything else is fetched.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export const defaultLoader = async (url) => {
+  if (url.startsWith("file:")) {
+    const { readFile } = await import("fs/promises");
+    return readFile(new URL(url), "utf8");
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return response.text();
+};
+
+const COMPONENT_CONTEXTS = {
+  responses: "responses",
+  headers: "headers",
+  examples: "examples",
+  links: "links",
+  callbacks: "callbacks",
+};
+
+/**
+ * Picks the components section an external $ref should be bundled into,
+ * based on where the $ref appears. Returns null for path items, which are
+ * inlined instead.
+ * @param {string[]} path
+ * @returns {string | null}
+ */
+const componentTypeFor = (path) => {
+  const last = path[path.length - 1];
+  const parent = path[path.length - 2];
+
+  if (path[0] === "components" && path.length === 3) return path[1];
+  if (path.includes("schema") || path[1] === "schemas") return "schemas";
+  if (path.length === 2 && (path[0] === "paths" || path[0] === "webhooks")) {
+    return null;
+  }
+  if (parent === "parameters") return "parameters";
+  if (last === "requestBody") return "requestBodies";
+  if (parent in COMPONENT_CONTEXTS) return COMPONENT_CONTEXTS[parent];
+  return "schemas";
+};
+
+/**
+ * Derives a component name from the referenced pointer or file name.
+ * @param {string} url
+ * @param {string} pointer
+ * @returns {string}
+ */
+const componentNameFor = (url, pointer) => {
+  const segments = pointer.split("/").filter(Boolean);
+  const name = segments.length
+    ? segments[segments.length - 1].replace(/~1/g, "/").replace(/~0/g, "~")
+    : decodeURIComponent(new URL(url).pathname.split("/").pop() || "").replace(
+        /\.(ya?ml|json)$/i,
+        ""
+      );
+  return name.replace(/[^A-Za-z0-9._-]/g, "_") || "Component";
+};
+
+/**
+ * Bundles a multi-document spec into one self-contained document. Every
+ * $ref to another file or URL is loaded (JSON or YAML), copied into the
+ * matching `components` section and rewritten as a local `#/components/...`
+ * ref, so the result can be handled by dereferenceSync and split into
+ * subsets. Path items are inlined. Each document is loaded only once, and
+ * cycles across files resolve to the same local ref.
+ * @param {JSONSchema} schema - The root document.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Absolute URL of the root document, used to resolve relative refs.
+ * @param {(url: string) => Promise<string | object>} [options.loader] - Loads a document by absolute URL.
+ * @returns {Promise<JSONSchema>} The bundled document.
+ * @throws {OpenAPIForLLMsError} With code UNRESOLVED_REF when a ref cannot be loaded or resolved.
+ */
+export const bundle = async (
+  schema,
+  { baseUrl, loader = defaultLoader } = {}
+) => {
+  const added = {}; // components copied in from other documents
+  const documents = new Map(); // url -> Promise<document>
+  const bundled = new Map(); // url#pointer -> local ref
+  const inlining = new Set(); // url#pointer of path items being inlined
+
+  const loadDocument = (url) => {
+    if (!documents.has(url)) {
+      documents.set(
+        url,
+        Promise.resolve(loader(url)).then((loaded) =>
+          typeof loaded === "string" ? parseDocument(loaded) : loaded
+        )
+      );
+    }
+    return documents.get(url);
+  };
+
+  const addComponent = (type, name, key) => {
+    const existing = schema.components?.[type] || {};
+    added[type] ??= {};
+    let unique = name;
+    for (let i = 2; unique in existing || unique in added[type]; i++) {
+      unique = `${name}_${i}`;
+    }
+    added[type][unique] = null; // reserved until walked
+    const localRef = `#/components/${type}/${unique
+      .replace(/~/g, "~0")
+      .replace(/\//g, "~1")}`;
+    bundled.set(key, localRef);
+    return unique;
+  };
+
+  /**
+   * @param {any} current - The value to bundle.
+   * @param {string | undefined} url - URL of the document `current` came from.
+   * @param {string[]} path - Location in the bundled document.
+   * @returns {Promise<any>}
+   */
+  const walk = async (current, url, path) => {
+    if (typeof current !== "object" || current === null) return current;
+
+    if (Array.isArray(current)) {
+      const out = [];
+      for (let i = 0; i < current.length; i++) {
+        out.push(await walk(current[i], url, [...path, String(i)]));
+      }
+      return out;
+    }
+
+    const obj = {};
+    for (const [key, value] of Object.entries(current)) {
+      if (key === "$ref" || PROHIBITED_KEYS.has(key)) continue;
+      obj[key] = await walk(value, url, [...path, key]);
+    }
+
+    if (typeof current.$ref !== "string") return obj;
+
+    const ref = current.$ref;
+    const hashIndex = ref.indexOf("#");
+    const file = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? "" : ref.slice(hashIndex + 1);
+
+    // Refs within the root document stay as they are
+    if (!file && url === baseUrl) return { ...obj, $ref: ref };
+
+    let targetUrl = url;
+    if (file) {
+      try {
+        targetUrl = new URL(file, url).href;
+      } catch {
+        // No base URL to resolve a relative ref against
+        return { ...obj, $ref: ref };
+      }
+    }
+    if (targetUrl === baseUrl) return { ...obj, $ref: `#${pointer}` };
+
+    const key = `${targetUrl}#${pointer}`;
+    if (bundled.has(key)) return { ...obj, $ref: bundled.get(key) };
+
+    let target;
+    try {
+      const document = await loadDocument(targetUrl);
+      target = pointer ? resolveRefSync(document, `#${pointer}`) : document;
+    } catch (error) {
+      throw new OpenAPIForLLMsError(
+        ERROR_CODES.UNRESOLVED_REF,
+        `Could not load $ref "${ref}": ${error.message}`,
+        { ref, url: targetUrl, cause: error }
+      );
+    }
+    if (target === null || target === undefined) {
+      throw new OpenAPIForLLMsError(
+        ERROR_CODES.UNRESOLVED_REF,
+        `Could not resolve $ref "${ref}" in ${targetUrl}`,
+        { ref, url: targetUrl }
+      );
+    }
+
+    const type = componentTypeFor(path);
+    if (type === null) {
+      if (inlining.has(key)) return { ...obj, $ref: ref };
+      inlining.add(key);
+      try {
+        return { ...(await walk(target, targetUrl, path)), ...obj };
+      } finally {
+        inlining.delete(key);
+      }
+    }
+
+    const name = addComponent(type, componentNameFor(targetUrl, pointer), key);
+    added[type][name] = await walk(target, targetUrl, [
+      "components",
+      type,
+      name,
+    ]);
+    return { ...obj, $ref: bundled.get(key) };
+  };
+
+  const result = await walk(schema, baseUrl, []);
+  for (const [type, components] of Object.entries(added)) {
+    result.components ??= {};
+    result.components[type] = { ...result.components[type], ...components };
+  }
+  return result;
+};
+
+/**
+ * Bundles external and relative $refs, then resolves all $ref pointers.
+ * @param {JSONSchema} schema - The root document.
+ * @param {object} [options] - Same as for bundle.
+ * @returns {Promise<DereferencedJSONSchema>} The dereferenced schema.
+ */
+export const dereference = async (schema, options) =>
+  dereferenceSync(await bundle(schema, options));
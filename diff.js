@@ -0,0 +1,554 @@
+/**
+ * Semantic comparison of two versions of a spec: which operations were
+ * added, removed or renamed, how parameters, bodies and responses changed,
+ * and which of those changes break existing clients. The result renders to
+ * markdown for `llms-changelog.md`, so agents learn what changed rather
+ * than rereading everything.
+ */
+
+import { collectOperations, operationParameters } from "./operations.js";
+
+const MAX_DEPTH = 10;
+
+/**
+ * Key of an operation by method and path, ignoring the names of path
+ * parameters
+ */
+function routeKey({ method, path }) {
+  return `${method.toUpperCase()} ${path.replace(/\{[^}]*\}/g, "{}")}`;
+}
+
+/**
+ * Readable name of an operation
+ */
+function describeOperation({ method, path }) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+/**
+ * Merge `allOf` members into one schema, so a schema split into parts
+ * compares equal to the same schema written out
+ */
+function mergeAllOf(schema) {
+  if (!schema || typeof schema !== "object" || !Array.isArray(schema.allOf)) {
+    return schema;
+  }
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest, properties: { ...rest.properties } };
+  const required = new Set(rest.required || []);
+  for (const part of allOf.map(mergeAllOf)) {
+    if (!part || typeof part !== "object") continue;
+    for (const [key, value] of Object.entries(part)) {
+      if (key === "properties") Object.assign(merged.properties, value);
+      else if (key === "required") value.forEach((name) => required.add(name));
+      else if (merged[key] === undefined) merged[key] = value;
+    }
+  }
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  if (required.size > 0) merged.required = [...required];
+  return merged;
+}
+
+/**
+ * The types a schema allows, `null` included when it is nullable
+ */
+function typesOf(schema) {
+  if (!schema || typeof schema !== "object" || schema.$ref) return [];
+  const types = [].concat(
+    schema.type ?? (schema.properties ? "object" : schema.items ? "array" : [])
+  );
+  if (schema.nullable && !types.includes("null")) types.push("null");
+  return types.sort();
+}
+
+/**
+ * Record a change between the two versions of a schema, recursing into
+ * properties, items and variants. `where` names the schema ("response 200")
+ * and `field` the path within it. `direction` is "request" or "response":
+ * what breaks clients differs between what they send and what they read.
+ */
+function diffSchema(before, after, context, report) {
+  const { where, field = "", direction, depth = 0 } = context;
+  const name = field ? `${where} field \`${field}\`` : where;
+  const child = (path, schemaBefore, schemaAfter) =>
+    diffSchema(
+      schemaBefore,
+      schemaAfter,
+      { ...context, field: path, depth: depth + 1 },
+      report
+    );
+
+  before = mergeAllOf(before);
+  after = mergeAllOf(after);
+  if (!before || !after || typeof before !== "object") return;
+  if (typeof after !== "object" || depth > MAX_DEPTH) return;
+
+  // Circular references left by dereferencing compare by name
+  if (before.$ref || after.$ref) {
+    if (before.$ref !== after.$ref) {
+      report(true, `${name} changed from ${label(before)} to ${label(after)}`);
+    }
+    return;
+  }
+
+  const typesBefore = typesOf(before);
+  const typesAfter = typesOf(after);
+  if (typesBefore.join() !== typesAfter.join() && typesBefore.length > 0) {
+    // Allowing null is only safe for what clients send
+    const onlyNullAdded =
+      typesAfter.filter((type) => type !== "null").join() ===
+        typesBefore.join() && typesAfter.includes("null");
+    report(
+      !(onlyNullAdded && direction === "request"),
+      `${name} changed type from \`${typesBefore.join(" | ")}\` to \`${
+        typesAfter.join(" | ") || "any"
+      }\``
+    );
+    return;
+  }
+  if (before.format !== after.format && before.format && after.format) {
+    report(
+      false,
+      `${name} changed format from \`${before.format}\` to \`${after.format}\``
+    );
+  }
+
+  if (Array.isArray(before.enum) || Array.isArray(after.enum)) {
+    const valuesBefore = new Set((before.enum || []).map(String));
+    const valuesAfter = new Set((after.enum || []).map(String));
+    const removed = [...valuesBefore].filter((v) => !valuesAfter.has(v));
+    const added = [...valuesAfter].filter((v) => !valuesBefore.has(v));
+    if (after.enum && removed.length > 0) {
+      report(
+        direction === "request",
+        `${name} no longer allows ${list(removed)}`
+      );
+    }
+    if (before.enum && added.length > 0) {
+      report(direction === "response", `${name} now allows ${list(added)}`);
+    }
+  }
+
+  const requiredBefore = new Set(before.required || []);
+  const requiredAfter = new Set(after.required || []);
+  const propertiesBefore = before.properties || {};
+  const propertiesAfter = after.properties || {};
+  const at = (property) => (field ? `${field}.${property}` : property);
+  const fieldName = (property) => `${where} field \`${at(property)}\``;
+  for (const [property, schema] of Object.entries(propertiesAfter)) {
+    if (!(property in propertiesBefore)) {
+      const required = requiredAfter.has(property) && !schema?.readOnly;
+      report(
+        required && direction === "request",
+        `${fieldName(property)} was added${required ? " (required)" : ""}`
+      );
+      continue;
+    }
+    if (
+      requiredAfter.has(property) &&
+      !requiredBefore.has(property) &&
+      direction === "request"
+    ) {
+      report(true, `${fieldName(property)} is now required`);
+    }
+    if (
+      requiredBefore.has(property) &&
+      !requiredAfter.has(property) &&
+      direction === "response"
+    ) {
+      report(true, `${fieldName(property)} is no longer always present`);
+    }
+    child(at(property), propertiesBefore[property], schema);
+  }
+  for (const property of Object.keys(propertiesBefore)) {
+    if (!(property in propertiesAfter)) {
+      report(direction === "response", `${fieldName(property)} was removed`);
+    }
+  }
+
+  if (before.items || after.items) {
+    child(`${field}[]`, before.items, after.items);
+  }
+
+  const variantsBefore = before.oneOf || before.anyOf;
+  const variantsAfter = after.oneOf || after.anyOf;
+  if (variantsBefore && variantsAfter) {
+    if (variantsAfter.length < variantsBefore.length) {
+      report(direction === "request", `${name} has fewer variants`);
+    } else if (variantsAfter.length > variantsBefore.length) {
+      report(direction === "response", `${name} has more variants`);
+    }
+    variantsBefore.forEach((variant, i) => {
+      if (i >= variantsAfter.length) return;
+      diffSchema(
+        variant,
+        variantsAfter[i],
+        {
+          ...context,
+          where: `${name}, variant ${i + 1}`,
+          field: "",
+          depth: depth + 1,
+        },
+        report
+      );
+    });
+  }
+}
+
+/**
+ * Short description of a schema for messages
+ */
+function label(schema) {
+  if (schema.$ref) return `\`${schema.$ref.split("/").pop()}\``;
+  return `\`${typesOf(schema).join(" | ") || "any"}\``;
+}
+
+/**
+ * Values as a readable list of code spans
+ */
+function list(values) {
+  return values.map((value) => `\`${value}\``).join(", ");
+}
+
+/**
+ * Schema of a parameter, from `schema` or `content`
+ */
+function parameterSchema(parameter) {
+  return parameter.schema || Object.values(parameter.content || {})[0]?.schema;
+}
+
+/**
+ * Record the changes between two versions of an operation
+ */
+function diffOperation(before, after, report) {
+  if (routeKey(before) !== routeKey(after)) {
+    report(
+      true,
+      `moved from \`${describeOperation(before)}\` to \`${describeOperation(
+        after
+      )}\``
+    );
+  }
+
+  // Path parameters are matched by their place in the path, so renaming
+  // one changes nothing for clients
+  const parametersOf = (op) => {
+    const template = op.path.match(/\{[^}]*\}/g) || [];
+    return new Map(
+      operationParameters(op).map((parameter) => {
+        const place = template.indexOf(`{${parameter.name}}`);
+        return [
+          parameter.in === "path" && place >= 0
+            ? `path:${place}`
+            : `${parameter.in}:${parameter.name}`,
+          parameter,
+        ];
+      })
+    );
+  };
+  const parametersBefore = parametersOf(before);
+  const parametersAfter = parametersOf(after);
+  for (const [id, parameter] of parametersAfter) {
+    const name = `${parameter.in} parameter \`${parameter.name}\``;
+    const previous = parametersBefore.get(id);
+    if (!previous) {
+      report(
+        Boolean(parameter.required),
+        `${name} was added${parameter.required ? " (required)" : ""}`
+      );
+      continue;
+    }
+    if (previous.name !== parameter.name) {
+      report(
+        false,
+        `${parameter.in} parameter \`${previous.name}\` is now \`${parameter.name}\``
+      );
+    }
+    if (parameter.required && !previous.required) {
+      report(true, `${name} is now required`);
+    }
+    if (parameter.deprecated && !previous.deprecated) {
+      report(false, `${name} is deprecated`);
+    }
+    diffSchema(
+      parameterSchema(previous),
+      parameterSchema(parameter),
+      { where: name, direction: "request" },
+      report
+    );
+  }
+  for (const [id, parameter] of parametersBefore) {
+    if (!parametersAfter.has(id)) {
+      report(
+        true,
+        `${parameter.in} parameter \`${parameter.name}\` was removed`
+      );
+    }
+  }
+
+  const bodyBefore = before.operation.requestBody;
+  const bodyAfter = after.operation.requestBody;
+  if (bodyAfter && !bodyBefore) {
+    report(
+      Boolean(bodyAfter.required),
+      `a request body was added${bodyAfter.required ? " (required)" : ""}`
+    );
+  } else if (bodyBefore && !bodyAfter) {
+    report(true, "the request body was removed");
+  } else if (bodyBefore && bodyAfter) {
+    if (bodyAfter.required && !bodyBefore.required) {
+      report(true, "the request body is now required");
+    }
+    diffContent(
+      bodyBefore.content,
+      bodyAfter.content,
+      "request body",
+      "request",
+      report
+    );
+  }
+
+  const responsesBefore = before.operation.responses || {};
+  const responsesAfter = after.operation.responses || {};
+  for (const [status, response] of Object.entries(responsesAfter)) {
+    if (!(status in responsesBefore)) {
+      report(false, `response ${status} was added`);
+      continue;
+    }
+    diffContent(
+      responsesBefore[status]?.content,
+      response?.content,
+      `response ${status}`,
+      "response",
+      report
+    );
+  }
+  for (const status of Object.keys(responsesBefore)) {
+    if (!(status in responsesAfter)) {
+      report(/^2/.test(status), `response ${status} was removed`);
+    }
+  }
+
+  if (after.operation.deprecated && !before.operation.deprecated) {
+    report(false, "the operation is deprecated");
+  }
+
+  const security = (op, openapi) =>
+    JSON.stringify(op.operation.security ?? openapi.security ?? []);
+  if (security(before, before.openapi) !== security(after, after.openapi)) {
+    report(true, "its security requirements changed");
+  }
+}
+
+/**
+ * Record the changes between two versions of the media types of a body
+ */
+function diffContent(before = {}, after = {}, where, direction, report) {
+  for (const [mediaType, media] of Object.entries(after)) {
+    if (!(mediaType in before)) {
+      report(false, `${where} can now be \`${mediaType}\``);
+      continue;
+    }
+    const name =
+      Object.keys(after).length > 1 ? `${where} (${mediaType})` : where;
+    diffSchema(
+      before[mediaType]?.schema,
+      media?.schema,
+      { where: name, direction },
+      report
+    );
+  }
+  for (const mediaType of Object.keys(before)) {
+    if (!(mediaType in after)) {
+      report(true, `${where} can no longer be \`${mediaType}\``);
+    }
+  }
+}
+
+/**
+ * Compare two dereferenced documents (see dereferenceSync in deref.js).
+ * Operations are matched by operationId, then by method and path, which
+ * makes a changed operationId a rename. Returns:
+ *
+ * - `title`, and the `info.version` the comparison goes `from` and `to`
+ * - `added`, `removed`: `{ operationId, method, path, summary }`
+ * - `renamed`: `{ from, to, method, path }` with the old and new operationId
+ * - `changed`: `{ operationId, method, path, changes }`, each change being
+ *   `{ message, breaking }`
+ * - `schemas`: names of component schemas `added` and `removed`
+ * - `breaking`: the number of breaking changes, removed operations included
+ */
+export function diffDocuments(before, after) {
+  const opsBefore = collectOperations(before).map((op) => ({
+    ...op,
+    openapi: before,
+  }));
+  const opsAfter = collectOperations(after).map((op) => ({
+    ...op,
+    openapi: after,
+  }));
+  const summary = (op) => ({
+    operationId: op.operationId,
+    method: op.method.toUpperCase(),
+    path: op.path,
+    ...(op.operation.summary && { summary: op.operation.summary }),
+  });
+
+  const pairs = [];
+  const unmatchedBefore = new Set(opsBefore);
+  const unmatchedAfter = new Set(opsAfter);
+  const match = (same) => {
+    for (const op of unmatchedBefore) {
+      const other = [...unmatchedAfter].find((candidate) =>
+        same(op, candidate)
+      );
+      if (!other) continue;
+      pairs.push([op, other]);
+      unmatchedBefore.delete(op);
+      unmatchedAfter.delete(other);
+    }
+  };
+  match(
+    (a, b) =>
+      a.operation.operationId !== undefined &&
+      a.operation.operationId === b.operation.operationId
+  );
+  match((a, b) => routeKey(a) === routeKey(b));
+
+  const result = {
+    title: after.info?.title,
+    from: before.info?.version,
+    to: after.info?.version,
+    added: [...unmatchedAfter].map(summary),
+    removed: [...unmatchedBefore].map(summary),
+    renamed: [],
+    changed: [],
+    schemas: { added: [], removed: [] },
+    breaking: unmatchedBefore.size,
+  };
+
+  pairs.sort(([, a], [, b]) => opsAfter.indexOf(a) - opsAfter.indexOf(b));
+  for (const [op, other] of pairs) {
+    if (op.operationId !== other.operationId) {
+      result.renamed.push({
+        from: op.operationId,
+        to: other.operationId,
+        method: other.method.toUpperCase(),
+        path: other.path,
+      });
+      result.breaking++;
+    }
+
+    const changes = [];
+    diffOperation(op, other, (breaking, message) =>
+      changes.push({ message, breaking })
+    );
+    if (changes.length > 0) {
+      result.changed.push({ ...summary(other), changes });
+      result.breaking += changes.filter((change) => change.breaking).length;
+    }
+  }
+
+  const schemasBefore = Object.keys(before.components?.schemas || {});
+  const schemasAfter = Object.keys(after.components?.schemas || {});
+  result.schemas.added = schemasAfter.filter(
+    (name) => !schemasBefore.includes(name)
+  );
+  result.schemas.removed = schemasBefore.filter(
+    (name) => !schemasAfter.includes(name)
+  );
+
+  return result;
+}
+
+/**
+ * Render a comparison from diffDocuments as markdown for
+ * `llms-changelog.md`
+ */
+export function renderChangelog(diff) {
+  const { title = "API", from, to } = diff;
+  const versions = from && to && from !== to ? `: ${from} → ${to}` : "";
+  const lines = [`# ${title} changes${versions}`, ""];
+  const operation = ({ method, path, operationId }) =>
+    `\`${method} ${path}\` (\`${operationId}\`)`;
+
+  const total =
+    diff.added.length +
+    diff.removed.length +
+    diff.renamed.length +
+    diff.changed.length;
+  if (total === 0) {
+    lines.push("> No changes to operations.", "");
+  } else {
+    lines.push(
+      `> ${diff.breaking} breaking change${
+        diff.breaking === 1 ? "" : "s"
+      }. Operations: ${diff.added.length} added, ${
+        diff.removed.length
+      } removed, ${diff.renamed.length} renamed, ${
+        diff.changed.length
+      } changed.`,
+      ""
+    );
+  }
+
+  const breaking = [
+    ...diff.removed.map((op) => `${operation(op)} was removed`),
+    ...diff.renamed.map(
+      ({ from, to, method, path }) =>
+        `\`${method} ${path}\`: operationId \`${from}\` is now \`${to}\``
+    ),
+    ...diff.changed.flatMap((op) =>
+      op.changes
+        .filter((change) => change.breaking)
+        .map((change) => `${operation(op)}: ${change.message}`)
+    ),
+  ];
+  const section = (heading, items) => {
+    if (items.length === 0) return;
+    lines.push(`## ${heading}`, "", ...items.map((item) => `- ${item}`), "");
+  };
+
+  section("Breaking changes", breaking);
+  section(
+    "Added operations",
+    diff.added.map(
+      (op) => `${operation(op)}${op.summary ? `: ${op.summary}` : ""}`
+    )
+  );
+  section(
+    "Removed operations",
+    diff.removed.map(
+      (op) => `${operation(op)}${op.summary ? `: ${op.summary}` : ""}`
+    )
+  );
+  section(
+    "Renamed operations",
+    diff.renamed.map(
+      ({ from, to, method, path }) =>
+        `\`${method} ${path}\`: \`${from}\` → \`${to}\``
+    )
+  );
+
+  if (diff.changed.length > 0) {
+    lines.push("## Changed operations", "");
+    for (const op of diff.changed) {
+      lines.push(
+        `### ${operation(op)}`,
+        "",
+        ...op.changes.map(
+          ({ message, breaking }) =>
+            `- ${breaking ? "**Breaking:** " : ""}${message}`
+        ),
+        ""
+      );
+    }
+  }
+
+  section("Schemas", [
+    ...diff.schemas.added.map((name) => `\`${name}\` was added`),
+    ...diff.schemas.removed.map((name) => `\`${name}\` was removed`),
+  ]);
+
+  return lines.join("\n");
+}
@@ -0,0 +1,28 @@
+/**
+ * Errors thrown by the core API. Each has a `code` telling what went wrong,
+ * so callers can handle them without matching on messages.
+ */
+
+export const ERROR_CODES = {
+  // The document or the options given cannot be used
+  BAD_INPUT: "BAD_INPUT",
+  // A `$ref` could not be loaded or does not point at anything
+  UNRESOLVED_REF: "UNRESOLVED_REF",
+  // The document is not an OpenAPI (or Swagger 2.0) document, or is too
+  // malformed to process
+  INVALID_SPEC: "INVALID_SPEC",
+};
+
+/**
+ * Error with a `code` from ERROR_CODES. `details` are copied onto the error,
+ * like the `ref` and `url` of an unresolved ref; `details.cause` becomes its
+ * cause.
+ */
+export class OpenAPIForLLMsError extends Error {
+  constructor(code, message, { cause, ...details } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = "OpenAPIForLLMsError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
@@ -0,0 +1,539 @@
+/**
+ * Example instances synthesized from schemas, for operations whose spec
+ * gives none. Works on dereferenced documents (see dereferenceSync in
+ * deref.js) and stops at the circular `$ref`s they keep.
+ *
+ * Values are deterministic: each is drawn from a hash of the seed, a key
+ * naming what the example is for and the value's path in the instance, so
+ * the output is stable across runs and changing one schema does not change
+ * the examples of others.
+ */
+
+import { operationParameters } from "./operations.js";
+
+export const DEFAULT_SEED = 1;
+
+const MAX_DEPTH = 8;
+// Most repetitions a pattern quantifier such as `{1,100000}` generates
+const MAX_REPEAT = 100;
+
+const FIRST_NAMES = ["Alice", "Bob", "Carol", "Dave", "Erin", "Frank"];
+const LAST_NAMES = ["Smith", "Jones", "Garcia", "Chen", "Meyer", "Okafor"];
+const WORDS = ["alpha", "bravo", "delta", "falcon", "harbor", "maple"];
+const CITIES = ["Amsterdam", "Berlin", "Lisbon", "Nairobi", "Osaka", "Quito"];
+const COUNTRIES = ["NL", "DE", "PT", "KE", "JP", "EC"];
+const COLORS = ["red", "green", "blue", "orange", "purple", "teal"];
+
+/**
+ * 53-bit hash of a string (cyrb53), scaled to [0, 1)
+ */
+function hashToUnit(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)) / 2 ** 53;
+}
+
+/**
+ * Key naming the example of a parameter, request body or response of an
+ * operation, so every place showing it draws the same values
+ */
+export function exampleKey(operationId, ...parts) {
+  return [operationId, ...parts].join(" ");
+}
+
+/**
+ * The value given for a schema by the document, if any: `const`, `example`,
+ * the first of `examples` or `default`
+ */
+function givenValue(schema) {
+  if (schema.const !== undefined) return schema.const;
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) {
+    return schema.examples[0];
+  }
+  return schema.default;
+}
+
+/**
+ * Merge `allOf` members into one schema: properties and required fields
+ * are combined, other fields taken from the first member having them
+ */
+function mergeAllOf(schema) {
+  if (!Array.isArray(schema.allOf)) return schema;
+
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest, properties: { ...rest.properties } };
+  const required = new Set(rest.required || []);
+  for (const part of allOf) {
+    if (!part || typeof part !== "object" || part.$ref) continue;
+    const member = mergeAllOf(part);
+    for (const [key, value] of Object.entries(member)) {
+      if (key === "properties") Object.assign(merged.properties, value);
+      else if (key === "required") value.forEach((name) => required.add(name));
+      else if (merged[key] === undefined) merged[key] = value;
+    }
+  }
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  if (required.size > 0) merged.required = [...required];
+  return merged;
+}
+
+/**
+ * Generate a string matching a simple regular expression: literals, `.`,
+ * `\d`, `\w`, `\s`, character classes, groups with alternatives and the
+ * quantifiers `?`, `*`, `+` and `{n,m}`, repeating at most `limit` times.
+ * Returns undefined for anything else (lookarounds, backreferences, negated
+ * classes).
+ */
+function stringFromPattern(pattern, draw, limit = MAX_REPEAT) {
+  let pos = 0;
+  let draws = 0;
+  const next = () => draw(draws++);
+  const pick = (chars) => chars[Math.floor(next() * chars.length)];
+  const DIGITS = "0123456789";
+  const WORD =
+    "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_";
+
+  const escape = (char) => {
+    if (char === "d") return DIGITS;
+    if (char === "w") return WORD;
+    if (char === "s") return " ";
+    if (/[a-zA-Z0-9]/.test(char) && !"nrt".includes(char)) return null;
+    return { n: "\n", r: "\r", t: "\t" }[char] ?? char;
+  };
+
+  const parseClass = () => {
+    let chars = "";
+    if (pattern[pos] === "^") return null;
+    while (pos < pattern.length && pattern[pos] !== "]") {
+      let char = pattern[pos++];
+      if (char === "\\") {
+        const set = escape(pattern[pos++]);
+        if (set === null) return null;
+        if (set.length > 1) {
+          chars += set;
+          continue;
+        }
+        char = set;
+      }
+      if (
+        pattern[pos] === "-" &&
+        pattern[pos + 1] &&
+        pattern[pos + 1] !== "]"
+      ) {
+        const end = pattern[pos + 1];
+        pos += 2;
+        for (let c = char.charCodeAt(0); c <= end.charCodeAt(0); c++) {
+          chars += String.fromCharCode(c);
+        }
+      } else {
+        chars += char;
+      }
+    }
+    pos++; // ]
+    return chars || null;
+  };
+
+  const parseAlternatives = () => {
+    const alternatives = [[]];
+    while (pos < pattern.length && pattern[pos] !== ")") {
+      const char = pattern[pos++];
+      let atom;
+      if (char === "|") {
+        alternatives.push([]);
+        continue;
+      } else if (char === "^" || char === "$") {
+        continue;
+      } else if (char === "(") {
+        if (pattern[pos] === "?") {
+          if (pattern[pos + 1] !== ":") return null;
+          pos += 2;
+        }
+        const group = parseAlternatives();
+        if (group === null || pattern[pos] !== ")") return null;
+        pos++;
+        atom = group;
+      } else if (char === "[") {
+        const chars = parseClass();
+        if (chars === null) return null;
+        atom = () => pick(chars);
+      } else if (char === "\\") {
+        const set = escape(pattern[pos++]);
+        if (set === null) return null;
+        atom = () => pick(set);
+      } else if (char === ".") {
+        atom = () => pick(WORD);
+      } else if ("*+?{".includes(char)) {
+        return null;
+      } else {
+        atom = () => char;
+      }
+
+      let min = 1;
+      let max = 1;
+      const quantifier = /^(?:\?|\*|\+|\{(\d+)(,(\d*))?\})/.exec(
+        pattern.slice(pos)
+      );
+      if (quantifier) {
+        pos += quantifier[0].length;
+        if (quantifier[0] === "?") [min, max] = [0, 1];
+        else if (quantifier[0] === "*") [min, max] = [0, 3];
+        else if (quantifier[0] === "+") [min, max] = [1, 3];
+        else {
+          min = Number(quantifier[1]);
+          max = quantifier[2]
+            ? quantifier[3]
+              ? Number(quantifier[3])
+              : min + 3
+            : min;
+          min = Math.min(min, limit);
+          max = Math.min(Math.max(max, min), limit);
+        }
+      }
+      alternatives[alternatives.length - 1].push({ atom, min, max });
+    }
+    return () => {
+      const sequence = pick(alternatives);
+      return sequence
+        .map(({ atom, min, max }) => {
+          const count = min + Math.floor(next() * (max - min + 1));
+          return Array.from({ length: count }, () => atom()).join("");
+        })
+        .join("");
+    };
+  };
+
+  const generate = parseAlternatives();
+  if (generate === null || pos < pattern.length) return undefined;
+  return generate();
+}
+
+/**
+ * A string for a schema without a pattern, shaped by its format or else by
+ * the name of the property holding it
+ */
+function stringFor(schema, name, random) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const hex = (length) =>
+    Array.from({ length }, () => int(0, 15).toString(16)).join("");
+  const pad = (number) => String(number).padStart(2, "0");
+  const date = () => `${int(2020, 2025)}-${pad(int(1, 12))}-${pad(int(1, 28))}`;
+  const time = () => `${pad(int(0, 23))}:${pad(int(0, 59))}:${pad(int(0, 59))}`;
+  const first = pick(FIRST_NAMES);
+  const last = pick(LAST_NAMES);
+
+  switch (schema.format) {
+    case "date-time":
+      return `${date()}T${time()}Z`;
+    case "date":
+      return date();
+    case "time":
+      return time();
+    case "uuid":
+      return `${hex(8)}-${hex(4)}-4${hex(3)}-${pick("89ab")}${hex(3)}-${hex(12)}`;
+    case "email":
+      return `${first.toLowerCase()}.${last.toLowerCase()}@example.com`;
+    case "uri":
+    case "url":
+      return `https://example.com/${pick(WORDS)}`;
+    case "hostname":
+      return `${pick(WORDS)}.example.com`;
+    case "ipv4":
+      return `192.0.2.${int(1, 254)}`;
+    case "ipv6":
+      return `2001:db8::${int(1, 65535).toString(16)}`;
+    case "byte":
+      return btoa(pick(WORDS));
+    case "binary":
+      return "<binary>";
+    case "password":
+      return `${pick(WORDS)}-${hex(8)}`;
+  }
+
+  const key = (name || "").toLowerCase();
+  if (/e-?mail/.test(key)) {
+    return `${first.toLowerCase()}.${last.toLowerCase()}@example.com`;
+  }
+  if (/(^|[_-])id$/.test(key) || /[a-z]Id$/.test(name)) return hex(12);
+  if (/first_?name|given_?name/.test(key)) return first;
+  if (/last_?name|family_?name|surname/.test(key)) return last;
+  if (/user_?name|login|handle/.test(key))
+    return `${first.toLowerCase()}${int(1, 99)}`;
+  if (/name/.test(key)) return `${first} ${last}`;
+  if (/url|uri|link|href|website/.test(key)) {
+    return `https://example.com/${pick(WORDS)}`;
+  }
+  if (/phone|mobile/.test(key))
+    return `+1-555-${int(100, 999)}-${int(1000, 9999)}`;
+  if (/city|town/.test(key)) return pick(CITIES);
+  if (/country/.test(key)) return pick(COUNTRIES);
+  if (/colou?r/.test(key)) return pick(COLORS);
+  if (/currency/.test(key)) return pick(["EUR", "USD", "JPY"]);
+  if (/lang|locale/.test(key)) return pick(["en", "de", "pt", "ja"]);
+  if (/desc|summary|comment|note|message|text|bio/.test(key)) {
+    return `${pick(WORDS)} ${pick(WORDS)} ${pick(WORDS)}`;
+  }
+  if (/pass(word)?$|pwd/.test(key)) return `${pick(WORDS)}-${hex(8)}`;
+  if (/token|secret|key/.test(key)) return hex(24);
+  if (/(_at|date|time)$/.test(key)) return `${date()}T${time()}Z`;
+  return pick(WORDS);
+}
+
+/**
+ * A number within the bounds of a schema, a multiple of `multipleOf`
+ */
+function numberFor(schema, integer, random) {
+  // OpenAPI 3.0 marks exclusive bounds with booleans, 3.1 with numbers
+  let min = schema.minimum;
+  let max = schema.maximum;
+  const step = schema.multipleOf || (integer ? 1 : 0.01);
+  if (typeof schema.exclusiveMinimum === "number") {
+    min = schema.exclusiveMinimum + step;
+  } else if (schema.exclusiveMinimum === true && min !== undefined) {
+    min += step;
+  }
+  if (typeof schema.exclusiveMaximum === "number") {
+    max = schema.exclusiveMaximum - step;
+  } else if (schema.exclusiveMaximum === true && max !== undefined) {
+    max -= step;
+  }
+  if (min === undefined) min = max === undefined ? 1 : Math.min(1, max);
+  if (max === undefined) max = Math.max(min, 0) + 100;
+  if (max < min) return min;
+
+  const steps = Math.floor((max - min) / step);
+  const start = Math.ceil(min / step) * step;
+  const value = start + Math.floor(random() * (steps + 1)) * step;
+  const bounded = Math.min(value, max);
+  return integer ? Math.round(bounded) : Number(bounded.toFixed(2));
+}
+
+/**
+ * Create a function building an example instance of a schema. Options of
+ * the returned function: `key` names what the example is for (see
+ * exampleKey) and `direction` is "request", leaving out read-only
+ * properties, or "response", leaving out write-only ones.
+ *
+ * `type`, `format`, `enum`, `default`, `minimum`/`maximum`, lengths, simple
+ * `pattern`s, `oneOf`/`anyOf`/`allOf` and `nullable` are respected. Values
+ * the schema gives (`const`, `example`, `default`) are used as-is.
+ */
+export function createExampleGenerator({ seed = DEFAULT_SEED } = {}) {
+  return (schema, { key = "", direction = "request" } = {}) => {
+    const randomAt = (path) => {
+      let draws = 0;
+      return () => hashToUnit(`${seed}\0${key}\0${path}\0${draws++}`);
+    };
+
+    const build = (schema, path, name, stack) => {
+      // Circular refs left by dereferencing, and cycles, end the example
+      if (!schema || typeof schema !== "object" || schema.$ref)
+        return undefined;
+      if (stack.includes(schema) || stack.length >= MAX_DEPTH) return undefined;
+      const nextStack = [...stack, schema];
+
+      const given = givenValue(schema);
+      if (given !== undefined) return given;
+
+      const random = randomAt(path);
+      if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return schema.enum[Math.floor(random() * schema.enum.length)];
+      }
+
+      if (Array.isArray(schema.allOf)) {
+        return build(mergeAllOf(schema), path, name, nextStack);
+      }
+      const variants = schema.oneOf || schema.anyOf;
+      if (Array.isArray(variants) && variants.length > 0) {
+        const { oneOf, anyOf, ...rest } = schema;
+        const variant = variants.find(
+          (variant) => variant && typeof variant === "object" && !variant.$ref
+        );
+        if (!variant) return undefined;
+        return build(
+          mergeAllOf({ allOf: [rest, variant] }),
+          path,
+          name,
+          nextStack
+        );
+      }
+
+      const types = [].concat(schema.type ?? []);
+      const type =
+        types.find((type) => type !== "null") ||
+        (schema.properties || schema.additionalProperties
+          ? "object"
+          : schema.items
+            ? "array"
+            : types[0]);
+
+      switch (type) {
+        case "string": {
+          let value =
+            (schema.pattern &&
+              stringFromPattern(
+                schema.pattern,
+                (n) => hashToUnit(`${seed}\0${key}\0${path}\0pattern\0${n}`),
+                Math.min(schema.maxLength ?? MAX_REPEAT, MAX_REPEAT)
+              )) ??
+            stringFor(schema, name, random);
+          if (schema.minLength > value.length) {
+            value = value.padEnd(schema.minLength, "x");
+          }
+          if (
+            schema.maxLength !== undefined &&
+            value.length > schema.maxLength
+          ) {
+            value = value.slice(0, schema.maxLength);
+          }
+          return value;
+        }
+        case "integer":
+        case "number":
+          return numberFor(schema, type === "integer", random);
+        case "boolean":
+          return random() < 0.5;
+        case "null":
+          return null;
+        case "array": {
+          const count = Math.max(
+            schema.minItems || 0,
+            Math.min(schema.maxItems ?? 2, 2)
+          );
+          const items = [];
+          for (let i = 0; i < count; i++) {
+            const item = build(schema.items, `${path}/${i}`, name, nextStack);
+            if (item === undefined) break;
+            if (
+              schema.uniqueItems &&
+              items.some(
+                (other) => JSON.stringify(other) === JSON.stringify(item)
+              )
+            ) {
+              break;
+            }
+            items.push(item);
+          }
+          return items;
+        }
+        case "object": {
+          const object = {};
+          const required = new Set(schema.required || []);
+          const skip = direction === "request" ? "readOnly" : "writeOnly";
+          for (const [property, propertySchema] of Object.entries(
+            schema.properties || {}
+          )) {
+            if (propertySchema?.[skip]) continue;
+            const value = build(
+              propertySchema,
+              `${path}/${property}`,
+              property,
+              nextStack
+            );
+            if (value !== undefined) object[property] = value;
+            else if (required.has(property)) object[property] = null;
+          }
+          const additional = schema.additionalProperties;
+          if (
+            Object.keys(object).length === 0 &&
+            additional &&
+            typeof additional === "object"
+          ) {
+            const value = build(additional, `${path}/*`, "key", nextStack);
+            if (value !== undefined) object.key = value;
+          }
+          return object;
+        }
+        default:
+          return undefined;
+      }
+    };
+
+    return build(schema, "", "", []) ?? null;
+  };
+}
+
+/**
+ * Example of a media type or parameter: `{ value, generated }` with its
+ * `example` or first `examples` value, else one generated from its schema.
+ * `resolve` follows `$ref`s of examples.
+ */
+export function exampleOf(
+  target,
+  { generateExample, key, direction, resolve = (value) => value }
+) {
+  if (target.example !== undefined) {
+    return { value: target.example, generated: false };
+  }
+  for (const entry of Object.values(target.examples || {})) {
+    const example = resolve(entry);
+    if (example?.value !== undefined) {
+      return { value: example.value, generated: false };
+    }
+  }
+  const schema =
+    target.schema || Object.values(target.content || {})[0]?.schema;
+  return {
+    value: generateExample(schema, { key, direction }),
+    generated: true,
+  };
+}
+
+/**
+ * Examples for an operation of a dereferenced document: its parameters by
+ * location and name, its request body and its responses by media type.
+ * Examples the document gives are used where it has them.
+ */
+export function operationExamples(op, generateExample) {
+  const { operationId, operation } = op;
+  const result = { method: op.method.toUpperCase(), path: op.path };
+
+  const parameters = {};
+  for (const parameter of operationParameters(op)) {
+    if (!parameter.in || parameter.$ref) continue;
+    parameters[parameter.in] ??= {};
+    parameters[parameter.in][parameter.name] = exampleOf(parameter, {
+      generateExample,
+      key: exampleKey(operationId, "parameter", parameter.in, parameter.name),
+      direction: "request",
+    }).value;
+  }
+  if (Object.keys(parameters).length > 0) result.parameters = parameters;
+
+  const content = operation.requestBody?.content;
+  if (content) {
+    result.requestBody = {};
+    for (const [mediaType, media] of Object.entries(content)) {
+      result.requestBody[mediaType] = exampleOf(media || {}, {
+        generateExample,
+        key: exampleKey(operationId, "request", mediaType),
+        direction: "request",
+      }).value;
+    }
+  }
+
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    if (!response?.content) continue;
+    result.responses ??= {};
+    result.responses[status] = {};
+    for (const [mediaType, media] of Object.entries(response.content)) {
+      result.responses[status][mediaType] = exampleOf(media || {}, {
+        generateExample,
+        key: exampleKey(operationId, "response", status, mediaType),
+        direction: "response",
+      }).value;
+    }
+  }
+
+  return result;
+}
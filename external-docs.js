@@ -0,0 +1,411 @@
+/**
+ * Fetching of `externalDocs` pages: concurrent, bounded by timeouts and
+ * retries, cached on disk with revalidation, and converted to markdown when
+ * the page is HTML.
+ */
+
+const DROPPED_ELEMENTS =
+  /<(script|style|noscript|svg|template|iframe|nav|header|footer|form|button)\b[\s\S]*?<\/\1\s*>/gi;
+
+const BLOCK_ELEMENTS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "main",
+  "aside",
+  "dl",
+  "dt",
+  "dd",
+  "figure",
+  "figcaption",
+  "details",
+  "summary",
+  "table",
+]);
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  mdash: "—",
+  ndash: "–",
+  hellip: "…",
+  copy: "©",
+};
+
+/**
+ * Decode HTML entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Read an attribute from the attribute string of a tag
+ */
+function attribute(attributes, name) {
+  const match = new RegExp(
+    `\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`,
+    "i"
+  ).exec(attributes);
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Resolve a link against the page URL, keeping it as-is if that fails
+ */
+function absoluteUrl(href, baseUrl) {
+  try {
+    return baseUrl ? new URL(href, baseUrl).href : href;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Convert an HTML page to markdown. Only the main content is kept when the
+ * page marks it with `<main>` or `<article>`; navigation, scripts and styles
+ * are dropped. Links and images are made absolute against `baseUrl`, also
+ * within table cells: `<td><a href="/pets">Pets</a></td>` becomes
+ * `| [Pets](https://example.com/pets) |`.
+ */
+export function htmlToMarkdown(html, baseUrl) {
+  html = html.replace(/<!--[\s\S]*?-->/g, "").replace(DROPPED_ELEMENTS, "");
+
+  const main =
+    /<(main|article)\b[^>]*>([\s\S]*)<\/\1\s*>/i.exec(html)?.[2] ??
+    /<body\b[^>]*>([\s\S]*)<\/body\s*>/i.exec(html)?.[1] ??
+    html;
+
+  let out = "";
+  let pre = false;
+  const lists = []; // "ul" or "ol" with a counter
+  const links = []; // href, table cell (or null) and start offset of open links
+  let tableRow = null;
+  let tableHeaderDone = false;
+
+  const block = () => {
+    out = out.replace(/[ \t]+$/, "");
+    if (out && !out.endsWith("\n\n")) out += out.endsWith("\n") ? "\n" : "\n\n";
+  };
+  const line = () => {
+    out = out.replace(/[ \t]+$/, "");
+    if (out && !out.endsWith("\n")) out += "\n";
+  };
+  const append = (text) => {
+    if (tableRow) {
+      tableRow[tableRow.length - 1] += text;
+      return;
+    }
+    if (!out || out.endsWith("\n")) text = text.trimStart();
+    out += text;
+  };
+
+  const tokens = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)|</g;
+  for (const [, closing, rawName, attributes, text] of main.matchAll(tokens)) {
+    if (text !== undefined || !rawName) {
+      const decoded = decodeEntities(text ?? "<");
+      append(pre ? decoded : decoded.replace(/\s+/g, " "));
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const open = !closing;
+
+    if (pre && name !== "pre") {
+      // <pre><code class="language-js"> gives the fence its language
+      const language = /language-([\w-]+)/.exec(attributes)?.[1];
+      if (name === "code" && open && language && out.endsWith("```\n")) {
+        out = `${out.slice(0, -1)}${language}\n`;
+      }
+      continue;
+    }
+
+    if (/^h[1-6]$/.test(name)) {
+      block();
+      if (open) append(`${"#".repeat(Number(name[1]))} `);
+    } else if (BLOCK_ELEMENTS.has(name)) {
+      if (name === "table") {
+        tableHeaderDone = false;
+      }
+      block();
+    } else if (name === "br") {
+      out += "\n";
+    } else if (name === "hr") {
+      block();
+      out += "---\n\n";
+    } else if (name === "pre") {
+      if (open) {
+        block();
+        const language = /language-([\w-]+)/.exec(attributes)?.[1] || "";
+        out += "```" + language + "\n";
+        pre = true;
+      } else {
+        if (!out.endsWith("\n")) out += "\n";
+        out += "```\n\n";
+        pre = false;
+      }
+    } else if (name === "code") {
+      append("`");
+    } else if (name === "strong" || name === "b") {
+      append("**");
+    } else if (name === "em" || name === "i") {
+      append("_");
+    } else if (name === "blockquote") {
+      block();
+      if (open) append("> ");
+    } else if (name === "ul" || name === "ol") {
+      if (open) {
+        lists.push({ type: name, count: 0 });
+        line();
+      } else {
+        lists.pop();
+        block();
+      }
+    } else if (name === "li") {
+      if (open) {
+        line();
+        const list = lists[lists.length - 1] || { type: "ul", count: 0 };
+        list.count += 1;
+        const indent = "  ".repeat(Math.max(0, lists.length - 1));
+        out += `${indent}${list.type === "ol" ? `${list.count}.` : "-"} `;
+      }
+    } else if (name === "a") {
+      // The label is in the buffer being written: the open table cell, if
+      // any, else the output
+      const cell = tableRow?.length > 0 ? tableRow.length - 1 : null;
+      if (open) {
+        links.push({
+          href: attribute(attributes, "href"),
+          cell,
+          start: cell === null ? out.length : tableRow[cell].length,
+        });
+      } else {
+        const link = links.pop();
+        if (link?.href && !link.href.startsWith("#") && link.cell === cell) {
+          const text = cell === null ? out : tableRow[cell];
+          const label = text.slice(link.start).trim();
+          const linked = `${text.slice(0, link.start)}[${label}](${absoluteUrl(
+            link.href,
+            baseUrl
+          )})`;
+          if (cell === null) out = linked;
+          else tableRow[cell] = linked;
+        }
+      }
+    } else if (name === "img" && open) {
+      const src = attribute(attributes, "src");
+      if (src) {
+        append(
+          `![${attribute(attributes, "alt") || ""}](${absoluteUrl(src, baseUrl)})`
+        );
+      }
+    } else if (name === "tr") {
+      if (open) {
+        tableRow = [];
+      } else if (tableRow) {
+        const cells = tableRow.map((cell) => cell.trim().replace(/\|/g, "\\|"));
+        tableRow = null;
+        line();
+        out += `| ${cells.join(" | ")} |\n`;
+        if (!tableHeaderDone) {
+          out += `| ${cells.map(() => "---").join(" | ")} |\n`;
+          tableHeaderDone = true;
+        }
+      }
+    } else if ((name === "td" || name === "th") && open && tableRow) {
+      tableRow.push("");
+    }
+  }
+
+  return out.replace(/\n{3,}/g, "\n\n").trim() + "\n";
+}
+
+/**
+ * Run at most `concurrency` tasks at once
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Cache of fetched docs on disk, one JSON file per URL
+ */
+export function createFileCache(dir) {
+  const pathFor = async (url) => {
+    const [{ createHash }, { join }] = await Promise.all([
+      import("crypto"),
+      import("path"),
+    ]);
+    const key = createHash("sha256").update(url).digest("hex").slice(0, 32);
+    return join(dir, `${key}.json`);
+  };
+
+  return {
+    async get(url) {
+      const { readFile } = await import("fs/promises");
+      try {
+        const entry = JSON.parse(await readFile(await pathFor(url), "utf8"));
+        return entry.url === url ? entry : undefined;
+      } catch {
+        return undefined;
+      }
+    },
+    async set(url, entry) {
+      const { mkdir, writeFile } = await import("fs/promises");
+      await mkdir(dir, { recursive: true });
+      await writeFile(await pathFor(url), JSON.stringify({ url, ...entry }));
+    },
+  };
+}
+
+/**
+ * Create a function that fetches an external docs URL and resolves to its
+ * content as markdown, or null if it cannot be had.
+ *
+ * Requests run `concurrency` at a time, each aborted after `timeout`
+ * milliseconds and retried up to `retries` times on network errors, 408,
+ * 429 and 5xx. With a `cache` (see createFileCache), responses are stored
+ * with their ETag/Last-Modified and revalidated on the next run; in
+ * `offline` mode only the cache is used. `fetch` can be replaced, e.g. to
+ * test against a local server.
+ *
+ * Calls for a URL that is being fetched share that fetch; once it is
+ * done, the next call fetches (or revalidates) again, so a long-lived
+ * fetcher sees changed pages. A cache that cannot be written to only costs
+ * a warning.
+ *
+ * Why a URL could not be had is passed to the `onWarning` given with the
+ * call, `(url, { onWarning })`, and printed with console.warn without one.
+ */
+export function createDocsFetcher({
+  fetch: fetchImpl = globalThis.fetch,
+  cache = null,
+  offline = false,
+  concurrency = 4,
+  timeout = 10000,
+  retries = 2,
+  retryDelay = 250,
+} = {}) {
+  const limit = createLimiter(concurrency);
+  const pending = new Map(); // url -> fetch in flight
+
+  // Resolves to `{ content, warnings }`
+  const load = async (url) => {
+    const cached = cache ? await cache.get(url) : undefined;
+
+    if (offline) {
+      return {
+        content: cached?.content ?? null,
+        warnings: cached
+          ? []
+          : [`No cached external docs for ${url} (offline)`],
+      };
+    }
+
+    const headers = {
+      Accept: "text/markdown, text/plain;q=0.9, text/html;q=0.8, */*;q=0.5",
+    };
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified)
+      headers["If-Modified-Since"] = cached.lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      let failure;
+      try {
+        const response = await fetchImpl(url, {
+          headers,
+          signal: AbortSignal.timeout(timeout),
+        });
+
+        if (response.status === 304 && cached) {
+          return { content: cached.content, warnings: [] };
+        }
+
+        if (response.ok) {
+          const text = await response.text();
+          const type = response.headers.get("content-type") || "";
+          const content =
+            /html/i.test(type) || /^\s*<(!doctype html|html)/i.test(text)
+              ? htmlToMarkdown(text, response.url || url)
+              : text;
+
+          const warnings = [];
+          if (cache) {
+            try {
+              await cache.set(url, {
+                etag: response.headers.get("etag"),
+                lastModified: response.headers.get("last-modified"),
+                content,
+              });
+            } catch (error) {
+              warnings.push(
+                `Could not cache external docs from ${url}: ${error.message}`
+              );
+            }
+          }
+          return { content, warnings };
+        }
+
+        failure = `${response.status}`;
+        const retryable = response.status === 408 || response.status === 429;
+        if (!retryable && response.status < 500) attempt = retries;
+      } catch (error) {
+        failure = error.name === "TimeoutError" ? "timed out" : error.message;
+      }
+
+      if (attempt >= retries) {
+        return {
+          content: cached?.content ?? null,
+          warnings: [`Failed to fetch external docs from ${url}: ${failure}`],
+        };
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, retryDelay * 2 ** attempt)
+      );
+    }
+  };
+
+  return async (url, { onWarning = console.warn } = {}) => {
+    if (!pending.has(url)) {
+      const loading = limit(() => load(url));
+      pending.set(url, loading);
+      loading.finally(() => pending.delete(url)).catch(() => {});
+    }
+    const { content, warnings } = await pending.get(url);
+    warnings.forEach((warning) => onWarning(warning));
+    return content;
+  };
+}
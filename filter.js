@@ -0,0 +1,328 @@
+/**
+ * Filtering and shaping of a document before output is generated, driven by
+ * the options of an `openapi-for-llms.config.{json,js}` file or the matching
+ * CLI flags.
+ */
+
+import { METHODS, collectOperations, collectWebhooks } from "./operations.js";
+import { DEFAULT_SEED } from "./examples.js";
+import { SAMPLE_LANGUAGES } from "./samples.js";
+
+/**
+ * Kinds of files that can be switched off with `emit`. A file is written
+ * when both its group (operations, tags, webhooks, schemas) and its format
+ * (yaml, markdown) are emitted; `yaml` covers the TypeScript files written
+ * in its place with the typescript `style`. llms.txt is always written.
+ */
+export const FILE_KINDS = [
+  "operations",
+  "tags",
+  "webhooks",
+  "schemas",
+  "yaml",
+  "markdown",
+  "llms-full",
+  "external-docs",
+];
+
+/**
+ * Formats of operation, tag and webhook files besides markdown: OpenAPI
+ * YAML subsets, or compact TypeScript-like declarations (see typescript.js)
+ */
+export const STYLES = ["yaml", "typescript"];
+
+const MATCHERS = ["tags", "paths", "methods", "operationIds"];
+
+export const CONFIG_DEFAULTS = {
+  include: {},
+  exclude: {},
+  dropDeprecated: false,
+  includeInternal: false,
+  stripExtensions: false,
+  untaggedTitle: "General",
+  emit: FILE_KINDS,
+  style: "yaml",
+  codeSamples: Object.keys(SAMPLE_LANGUAGES),
+  fullCodeSamples: false,
+  syntheticExamples: true,
+  exampleSeed: DEFAULT_SEED,
+  schemaLinks: false,
+};
+
+// Objects whose keys are names rather than fields, so a name starting with
+// `x-` (a property, a header) is not a vendor extension
+const NAMED_MAPS = new Set([
+  "paths",
+  "webhooks",
+  "properties",
+  "patternProperties",
+  "dependentSchemas",
+  "$defs",
+  "definitions",
+  "schemas",
+  "responses",
+  "parameters",
+  "requestBodies",
+  "headers",
+  "securitySchemes",
+  "links",
+  "callbacks",
+  "pathItems",
+  "content",
+  "encoding",
+  "examples",
+  "variables",
+  "scopes",
+  "mapping",
+]);
+
+// Values that are data, not part of the document structure
+const DATA_KEYS = new Set(["example", "default", "enum", "const", "value"]);
+
+/**
+ * Check the shape of filtering options, throwing on the first problem so
+ * typos in a config file do not silently change the output
+ */
+export function validateConfig(config, source = "config") {
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in CONFIG_DEFAULTS) || value === undefined) continue;
+
+    if (key === "include" || key === "exclude") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`${source}: \`${key}\` must be an object`);
+      }
+      for (const [matcher, patterns] of Object.entries(value)) {
+        if (!MATCHERS.includes(matcher)) {
+          throw new Error(
+            `${source}: unknown \`${key}.${matcher}\`, use one of: ${MATCHERS.join(
+              ", "
+            )}`
+          );
+        }
+        if (
+          !Array.isArray(patterns) ||
+          patterns.some((p) => typeof p !== "string")
+        ) {
+          throw new Error(
+            `${source}: \`${key}.${matcher}\` must be a list of strings`
+          );
+        }
+      }
+    } else if (key === "emit") {
+      const unknown = (Array.isArray(value) ? value : [value]).filter(
+        (kind) => !FILE_KINDS.includes(kind)
+      );
+      if (!Array.isArray(value) || unknown.length > 0) {
+        throw new Error(
+          `${source}: \`emit\` must be a list of: ${FILE_KINDS.join(", ")}`
+        );
+      }
+    } else if (key === "codeSamples") {
+      const languages = Object.keys(SAMPLE_LANGUAGES);
+      if (
+        !Array.isArray(value) ||
+        value.some((language) => !languages.includes(language))
+      ) {
+        throw new Error(
+          `${source}: \`codeSamples\` must be a list of: ${languages.join(", ")}`
+        );
+      }
+    } else if (key === "style") {
+      if (!STYLES.includes(value)) {
+        throw new Error(
+          `${source}: \`style\` must be one of: ${STYLES.join(", ")}`
+        );
+      }
+    } else if (key === "exampleSeed") {
+      if (!Number.isSafeInteger(value)) {
+        throw new Error(`${source}: \`exampleSeed\` must be an integer`);
+      }
+    } else if (key === "untaggedTitle") {
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error(`${source}: \`untaggedTitle\` must be a string`);
+      }
+    } else if (typeof value !== "boolean") {
+      throw new Error(`${source}: \`${key}\` must be true or false`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Validate options and fill in the defaults for those not given
+ */
+export function resolveConfig(options = {}, source = "options") {
+  validateConfig(options, source);
+  const config = { ...CONFIG_DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) config[key] = value;
+  }
+  return config;
+}
+
+/**
+ * Compile a glob to a regular expression. With a `separator`, `*` stops at
+ * it and `**` crosses it; without one, `*` matches anything.
+ */
+function globToRegExp(glob, separator) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += separator ? `[^${separator}]*` : ".*";
+    } else if (char === "?") {
+      source += separator ? `[^${separator}]` : ".";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a predicate telling whether an operation matches any pattern of a
+ * matcher group (`include` or `exclude`), one test per matcher given
+ */
+function compileMatchers(group = {}) {
+  const tests = [];
+
+  if (group.tags?.length) {
+    const tags = new Set(group.tags);
+    tests.push((op) => op.tags.some((tag) => tags.has(tag)));
+  }
+  if (group.paths?.length) {
+    const globs = group.paths.map((glob) => globToRegExp(glob, "/"));
+    tests.push((op) => globs.some((glob) => glob.test(op.path)));
+  }
+  if (group.methods?.length) {
+    const methods = new Set(group.methods.map((m) => m.toLowerCase()));
+    tests.push((op) => methods.has(op.method));
+  }
+  if (group.operationIds?.length) {
+    const globs = group.operationIds.map((glob) => globToRegExp(glob));
+    tests.push((op) => globs.some((glob) => glob.test(op.operationId)));
+  }
+
+  return tests;
+}
+
+/**
+ * Whether a tag, path item or operation is marked as not for LLMs
+ */
+function isInternal(object) {
+  return object?.["x-internal"] === true || object?.["x-llm-exclude"] === true;
+}
+
+/**
+ * Remove vendor extensions (`x-*` fields) throughout a document
+ */
+export function stripExtensions(value, inNamedMap = false) {
+  if (!value || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((item) => stripExtensions(item));
+
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (!inNamedMap && key.startsWith("x-")) continue;
+    out[key] =
+      !inNamedMap && DATA_KEYS.has(key)
+        ? child
+        : stripExtensions(child, !inNamedMap && NAMED_MAPS.has(key));
+  }
+  return out;
+}
+
+/**
+ * Apply filtering options to a normalised document, returning a new one
+ * without the excluded operations (and path items left empty by that):
+ *
+ * - `include` / `exclude`: `{ tags, paths, methods, operationIds }`. An
+ *   operation must match every `include` matcher given and no `exclude`
+ *   matcher. Paths and operationIds are globs (`*`, `**`, `?`).
+ * - `dropDeprecated`: leave out deprecated operations
+ * - `includeInternal`: keep operations marked `x-internal` or
+ *   `x-llm-exclude` (on the operation, its path item or one of its tags)
+ * - `stripExtensions`: remove `x-*` fields from the output
+ */
+export function filterOpenAPI(openapi, options = {}) {
+  const include = compileMatchers(options.include);
+  const exclude = compileMatchers(options.exclude);
+  const internalTags = new Set(
+    (openapi.tags || []).filter(isInternal).map((tag) => tag.name)
+  );
+
+  const keep = (op) => {
+    if (options.dropDeprecated && op.operation.deprecated) return false;
+    if (
+      !options.includeInternal &&
+      (isInternal(op.operation) ||
+        isInternal(op.pathItem) ||
+        op.tags.some((tag) => internalTags.has(tag)))
+    ) {
+      return false;
+    }
+    return (
+      include.every((test) => test(op)) && !exclude.some((test) => test(op))
+    );
+  };
+
+  const filterItems = (items, ops) => {
+    if (!items) return items;
+
+    const dropped = new Set(
+      ops.filter((op) => !keep(op)).map((op) => `${op.method} ${op.path}`)
+    );
+    const out = {};
+    for (const [path, pathItem] of Object.entries(items)) {
+      if (!pathItem || typeof pathItem !== "object") continue;
+
+      const item = {};
+      let hasOperations = false;
+      for (const [key, value] of Object.entries(pathItem)) {
+        if (!METHODS.includes(key)) {
+          item[key] = value;
+        } else if (!dropped.has(`${key} ${path}`)) {
+          item[key] = value;
+          hasOperations = true;
+        }
+      }
+      if (hasOperations) out[path] = item;
+    }
+    return out;
+  };
+
+  let filtered = {
+    ...openapi,
+    paths: filterItems(openapi.paths, collectOperations(openapi)),
+    ...(openapi.webhooks && {
+      webhooks: filterItems(openapi.webhooks, collectWebhooks(openapi)),
+    }),
+  };
+  if (!options.includeInternal && openapi.tags) {
+    filtered.tags = openapi.tags.filter((tag) => !isInternal(tag));
+  }
+
+  if (options.stripExtensions) filtered = stripExtensions(filtered);
+  return filtered;
+}
+
+/**
+ * Whether a generated file is of a kind listed in `emit`. External docs
+ * pages are told apart by the `externalDocs` URL of the `file` entry, not
+ * by their path, which an operation or tag file could share.
+ */
+export function emitsFile(path, emit = FILE_KINDS, file) {
+  const kinds = new Set(emit);
+
+  if (path === "llms-full.txt") return kinds.has("llms-full");
+  if (file?.externalDocs) return kinds.has("external-docs");
+
+  const group = /^(operations|tags|webhooks|schemas)\//.exec(path)?.[1];
+  if (!group) return true;
+
+  const format = path.endsWith(".md") ? "markdown" : "yaml";
+  return kinds.has(group) && kinds.has(format);
+}
@@ -0,0 +1,1738 @@
+/**
+ * Generation of llms.txt and the per-operation and per-tag files from an
+ * OpenAPI document, in memory. Nothing here touches the file system, the
+ * process or the console, so it can be used as a library and also runs in
+ * edge runtimes. Problems are thrown as an OpenAPIForLLMsError (see
+ * errors.js) and warnings returned with the files.
+ */
+
+import { dump } from "js-yaml";
+import {
+  bundle,
+  dereferenceSync,
+  parseDocument,
+  resolveRefSync,
+} from "./deref.js";
+import {
+  renderOperationMarkdown,
+  renderSchemaMarkdown,
+  renderTagMarkdown,
+} from "./markdown.js";
+import { estimateTokens, formatTokens } from "./tokens.js";
+import { TOOL_PRESETS, toToolDefinitions } from "./tools.js";
+import { METHODS, collectOperations, collectWebhooks } from "./operations.js";
+import { createNamer, slugify } from "./naming.js";
+import { normalizeOpenAPI } from "./normalize.js";
+import { validateOpenAPI } from "./validate.js";
+import { buildRefGraph, closeRefs, collectRefs, componentRef } from "./refs.js";
+import { createDocsFetcher } from "./external-docs.js";
+import { emitsFile, filterOpenAPI, resolveConfig } from "./filter.js";
+import { ERROR_CODES, OpenAPIForLLMsError } from "./errors.js";
+import { createExampleGenerator, operationExamples } from "./examples.js";
+import { generateCodeSamples } from "./samples.js";
+import { recursiveRefs, renderOperationsTypeScript } from "./typescript.js";
+import { lintDocument, resolveLintConfig } from "./lint.js";
+import { diffDocuments } from "./diff.js";
+import { mergeDocuments } from "./merge.js";
+
+/**
+ * Names of the security schemes used by security requirements in a subset
+ */
+function securitySchemeNames(subset) {
+  const names = new Set();
+  const addRequirements = (requirements) => {
+    for (const requirement of requirements || []) {
+      for (const name of Object.keys(requirement || {})) names.add(name);
+    }
+  };
+
+  addRequirements(subset.security);
+  for (const pathItems of [subset.paths, subset.webhooks]) {
+    for (const pathItem of Object.values(pathItems || {})) {
+      for (const method of METHODS) {
+        addRequirements(pathItem[method]?.security);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Add what a subset needs from the rest of the document to stand alone: the
+ * document's security, the definitions of the tags it uses, and every
+ * component it references, directly or through other components. Security
+ * schemes are referenced by name rather than by `$ref`.
+ */
+function completeSubset(subset, openapi, graph) {
+  if (openapi.security) subset.security = openapi.security;
+
+  const usedTags = new Set();
+  for (const pathItems of [subset.paths, subset.webhooks]) {
+    for (const pathItem of Object.values(pathItems || {})) {
+      for (const method of METHODS) {
+        for (const tag of pathItem[method]?.tags || []) usedTags.add(tag);
+      }
+    }
+  }
+  const tags = (openapi.tags || []).filter((tag) => usedTags.has(tag.name));
+  if (tags.length > 0) subset.tags = tags;
+
+  const neededRefs = closeRefs(collectRefs(subset), graph);
+  for (const name of securitySchemeNames(subset)) {
+    neededRefs.add(componentRef("securitySchemes", name));
+  }
+  addComponents(subset, openapi, neededRefs);
+
+  // Keep the conventional order of top-level fields
+  const ordered = {};
+  for (const key of [
+    "openapi",
+    "info",
+    "servers",
+    "security",
+    "tags",
+    "paths",
+    "webhooks",
+    "components",
+  ]) {
+    if (subset[key] !== undefined) ordered[key] = subset[key];
+  }
+  return ordered;
+}
+
+/**
+ * Copy the components of `openapi` whose refs are in `neededRefs` into a
+ * subset
+ */
+function addComponents(subset, openapi, neededRefs) {
+  for (const [componentType, components] of Object.entries(
+    openapi.components || {}
+  )) {
+    if (!components || typeof components !== "object") continue;
+
+    for (const [refName, component] of Object.entries(components)) {
+      if (!neededRefs.has(componentRef(componentType, refName))) continue;
+
+      if (!subset.components) subset.components = {};
+      if (!subset.components[componentType]) {
+        subset.components[componentType] = {};
+      }
+      subset.components[componentType][refName] = component;
+    }
+  }
+}
+
+/**
+ * Create a subset of OpenAPI document with only the needed components
+ */
+function createSubset(
+  openapi,
+  paths,
+  operationFilter = null,
+  graph = buildRefGraph(openapi)
+) {
+  const subset = {
+    openapi: openapi.openapi,
+    info: openapi.info,
+    servers: openapi.servers,
+    paths: {},
+  };
+
+  // Add filtered paths
+  for (const [path, pathItem] of Object.entries(paths)) {
+    if (!pathItem || typeof pathItem !== "object") continue;
+
+    // Keep path-level fields such as parameters, servers and summary
+    const filteredPathItem = {};
+    for (const [key, value] of Object.entries(
+      openapi.paths?.[path] || pathItem
+    )) {
+      if (!METHODS.includes(key) && key !== "$ref") {
+        filteredPathItem[key] = value;
+      }
+    }
+
+    let hasOperations = false;
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      if (operationFilter && !operationFilter(operation, method, path))
+        continue;
+
+      filteredPathItem[method] = operation;
+      hasOperations = true;
+    }
+
+    if (hasOperations) {
+      subset.paths[path] = filteredPathItem;
+    }
+  }
+
+  return completeSubset(subset, openapi, graph);
+}
+
+/**
+ * Create a subset of an OpenAPI 3.1 document holding one webhook operation
+ */
+function createWebhookSubset(openapi, { webhook, method }, graph) {
+  const { [webhook]: pathItem } = openapi.webhooks;
+  const webhookItem = {};
+  for (const [key, value] of Object.entries(pathItem)) {
+    if (!METHODS.includes(key) || key === method) webhookItem[key] = value;
+  }
+
+  const subset = {
+    openapi: openapi.openapi,
+    info: openapi.info,
+    webhooks: { [webhook]: webhookItem },
+  };
+  return completeSubset(subset, openapi, graph);
+}
+
+/**
+ * Create a subset of an OpenAPI document holding one schema and every
+ * component it references, directly or through other components
+ */
+function createSchemaSubset(openapi, name, graph) {
+  const subset = {
+    openapi: openapi.openapi,
+    info: openapi.info,
+    paths: {},
+  };
+  addComponents(
+    subset,
+    openapi,
+    closeRefs([componentRef("schemas", name)], graph)
+  );
+  return subset;
+}
+
+/**
+ * Refer to schemas in the files of `schemaFiles` (schema ref to file name
+ * under schemas/) instead of holding them: `$ref`s to a schema point into
+ * its file and `components.schemas` is left out. Returns a new subset.
+ */
+function linkSchemas(subset, schemaFiles) {
+  if (!schemaFiles || !subset.components?.schemas) return subset;
+
+  const relink = (value) => {
+    if (!value || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(relink);
+
+    const out = {};
+    for (const [key, child] of Object.entries(value)) {
+      out[key] = relink(child);
+    }
+    if (typeof value.$ref === "string") {
+      const [, base, rest = ""] =
+        /^(#\/components\/schemas\/[^/]+)(\/.*)?$/.exec(value.$ref) || [];
+      if (schemaFiles.has(base)) {
+        out.$ref = `../schemas/${schemaFiles.get(base)}.yaml${base}${rest}`;
+      }
+    }
+    return out;
+  };
+
+  const { schemas, ...components } = subset.components;
+  const linked = relink({ ...subset, components });
+  if (Object.keys(components).length === 0) delete linked.components;
+  return linked;
+}
+
+/**
+ * A schema of the bundled document with its `$ref`s replaced by their
+ * targets in the dereferenced document
+ */
+function dereferenceSchema(schema, dereferenced) {
+  if (!schema || typeof schema !== "object") return schema;
+  if (Array.isArray(schema)) {
+    return schema.map((item) => dereferenceSchema(item, dereferenced));
+  }
+
+  const fields = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key !== "$ref") fields[key] = dereferenceSchema(value, dereferenced);
+  }
+  const target =
+    typeof schema.$ref === "string"
+      ? resolveRefSync(dereferenced, schema.$ref)
+      : null;
+  if (!target || typeof target !== "object") return { ...schema, ...fields };
+  return { ...target, ...fields };
+}
+
+/**
+ * First sentence of a description on one line, ending with a period. A
+ * sentence ends at a period followed by a capital letter or the end of the
+ * text, so abbreviations such as "e.g. for demos" do not cut it short.
+ */
+function firstSentence(text) {
+  const [sentence] = text.split(/\.(?:\s+(?=[A-Z])|\s*$)/);
+  return `${sentence.replace(/\s+/g, " ").trim()}.`;
+}
+
+/**
+ * One-line summary of an API from its `info`
+ */
+function apiSummary(openapi) {
+  if (openapi.info?.summary) {
+    // OpenAPI 3.1 has a dedicated summary
+    return openapi.info.summary;
+  }
+  if (openapi.info?.description) {
+    // Take first paragraph or sentence as summary
+    return firstSentence(openapi.info.description.split("\n")[0]);
+  }
+  return `API documentation for ${openapi.info?.title || "this service"}.`;
+}
+
+/**
+ * Generate the title, summary and details shared by llms.txt and llms-full.txt
+ */
+function generateOverview(openapi) {
+  let content = `# ${openapi.info?.title || "API"}\n\n`;
+
+  // Required blockquote with summary
+  const summary = apiSummary(openapi);
+  content += `> ${summary}\n\n`;
+
+  // Optional details section
+  let details = [];
+
+  if (openapi.info?.version) {
+    details.push(`**Version:** ${openapi.info.version}`);
+  }
+
+  if (openapi.servers && openapi.servers.length > 0) {
+    details.push(`**Base URL:** ${openapi.servers[0].url}`);
+  }
+
+  if (
+    openapi.info?.contact?.name ||
+    openapi.info?.contact?.email ||
+    openapi.info?.contact?.url
+  ) {
+    let contactInfo = "**Contact:**";
+    if (openapi.info.contact.name)
+      contactInfo += ` ${openapi.info.contact.name}`;
+    if (openapi.info.contact.email)
+      contactInfo += ` <${openapi.info.contact.email}>`;
+    if (openapi.info.contact.url)
+      contactInfo += ` (${openapi.info.contact.url})`;
+    details.push(contactInfo);
+  }
+
+  if (openapi.info?.license?.name) {
+    let licenseInfo = `**License:** ${openapi.info.license.name}`;
+    if (openapi.info.license.url)
+      licenseInfo += ` (${openapi.info.license.url})`;
+    details.push(licenseInfo);
+  }
+
+  if (
+    openapi.info?.description &&
+    openapi.info.description.length > summary.length
+  ) {
+    // Add full description if it's longer than the summary
+    const fullDescription = openapi.info.description
+      .replace(summary, "")
+      .trim();
+    if (fullDescription) {
+      details.push(fullDescription);
+    }
+  }
+
+  if (details.length > 0) {
+    content += details.join("\n\n") + "\n\n";
+  }
+
+  return content;
+}
+
+/**
+ * Generate llms.txt content according to spec
+ *
+ * `tagParts` maps each tag (or null for untagged operations) to its tag
+ * files when they were
+ * split by size, and `fileTokens` returns the token count of a generated
+ * file so each link can be annotated with it. `linkTarget` maps a linked
+ * markdown file to the file actually written in its place, or null when
+ * there is none. Untagged operations are listed under `untaggedTitle`.
+ * `schemaFiles` maps the ref of each schema to its file name under
+ * schemas/, for a section listing them.
+ */
+function generateLlmsTxt(
+  openapi,
+  openapiFile,
+  {
+    tagParts = new Map(),
+    fileTokens = () => undefined,
+    linkTarget = (path) => path,
+    untaggedTitle = "General",
+    schemaFiles = new Map(),
+  } = {}
+) {
+  const operations = [];
+  const tagOperations = new Map();
+  const tagInfo = new Map();
+
+  // Collect tag information from the OpenAPI document
+  if (openapi.tags) {
+    for (const tag of openapi.tags) {
+      tagInfo.set(tag.name, tag);
+      tagOperations.set(tag.name, []);
+    }
+  }
+
+  // Collect untagged operations
+  const untaggedOperations = [];
+
+  // Collect all operations and organize by tags
+  for (const {
+    operationId,
+    fileName,
+    path,
+    method,
+    operation,
+  } of collectOperations(openapi)) {
+    const operationData = {
+      operationId,
+      fileName,
+      method: method.toUpperCase(),
+      path,
+      summary: operation.summary || `${method.toUpperCase()} ${path}`,
+      description: operation.description,
+      tags: operation.tags || [],
+    };
+
+    operations.push(operationData);
+
+    // Organize by tags
+    if (operation.tags && operation.tags.length > 0) {
+      for (const tag of operation.tags) {
+        if (!tagOperations.has(tag)) {
+          tagOperations.set(tag, []);
+        }
+        tagOperations.get(tag).push(operationData);
+      }
+    } else {
+      untaggedOperations.push(operationData);
+    }
+  }
+
+  // Markdown link, annotated with the size of the linked file. Plain text
+  // when the file was not written.
+  const link = (text, url) => {
+    if (!url) return text;
+    const tokens = fileTokens(url);
+    return tokens === undefined
+      ? `[${text}](${url})`
+      : `[${text}](${url}) (${formatTokens(tokens)})`;
+  };
+
+  // Links to the file(s) holding all operations of a tag
+  const tagLinks = (key, sectionName, description) => {
+    const parts = (
+      tagParts.get(key) || [
+        `tags/${key === null ? "untagged" : slugify(key)}.md`,
+      ]
+    )
+      .map(linkTarget)
+      .filter(Boolean);
+    if (parts.length === 0) return "";
+    if (parts.length === 1) {
+      return `- ${link(`${sectionName} operations`, parts[0])} ${description}\n`;
+    }
+    return parts
+      .map(
+        (part, i) =>
+          `- ${link(
+            `${sectionName} operations, part ${i + 1} of ${parts.length}`,
+            part
+          )}\n`
+      )
+      .join("");
+  };
+
+  // Generate llms.txt content according to spec
+  let content = generateOverview(openapi);
+
+  content += `[Full OpenAPI Spec](${openapiFile})\n\n`;
+  if (linkTarget("llms-full.txt")) {
+    content += `${link(
+      "Full API context",
+      linkTarget("llms-full.txt")
+    )} Every operation, schema and external doc in one file\n\n`;
+  }
+  if (linkTarget("llms-changelog.md")) {
+    content += `${link(
+      "Changelog",
+      "llms-changelog.md"
+    )} What changed since the previous version of the API\n\n`;
+  }
+
+  // Add sections for each tag (H2 headers)
+  const sortedTags = Array.from(tagOperations.keys()).sort();
+
+  for (const tag of sortedTags) {
+    const ops = tagOperations.get(tag);
+    if (ops.length === 0) continue;
+
+    const tagData = tagInfo.get(tag);
+    const sectionName = tagData?.name || tag;
+
+    content += `## ${sectionName}\n\n`;
+
+    // Add tag description if available
+    if (tagData?.description) {
+      content += `${tagData.description}\n\n`;
+    }
+
+    content += tagLinks(
+      tag,
+      sectionName,
+      `All '${sectionName}' operations in one file`
+    );
+
+    // List operations for this tag
+    for (const op of ops) {
+      const linkText = `${op.method} ${op.path}`;
+      const linkUrl = linkTarget(`operations/${op.fileName}.md`);
+      let linkLine = `- ${link(linkText, linkUrl)}`;
+
+      if (op.summary && op.summary !== `${op.method} ${op.path}`) {
+        linkLine += `: ${op.summary}`;
+      } else if (op.description) {
+        // Use first sentence of description if no summary
+        linkLine += `: ${firstSentence(op.description)}`;
+      }
+
+      content += linkLine + "\n";
+    }
+    content += "\n";
+  }
+
+  // Add untagged operations if any exist
+  if (untaggedOperations.length > 0) {
+    content += `## ${untaggedTitle}\n\n`;
+    content += tagLinks(
+      null,
+      untaggedTitle,
+      "All untagged operations in one file"
+    );
+
+    for (const op of untaggedOperations) {
+      const linkText = `${op.method} ${op.path}`;
+      const linkUrl = linkTarget(`operations/${op.fileName}.md`);
+      let linkLine = `- ${link(linkText, linkUrl)}`;
+
+      if (op.summary && op.summary !== `${op.method} ${op.path}`) {
+        linkLine += `: ${op.summary}`;
+      } else if (op.description) {
+        linkLine += `: ${firstSentence(op.description)}`;
+      }
+
+      content += linkLine + "\n";
+    }
+    content += "\n";
+  }
+
+  // Add webhooks (OpenAPI 3.1) if any exist
+  const webhooks = collectWebhooks(openapi);
+  if (webhooks.length > 0) {
+    content += `## Webhooks\n\n`;
+    content += `Requests the API sends to your server.\n\n`;
+
+    for (const op of webhooks) {
+      const linkText = `${op.method.toUpperCase()} ${op.webhook}`;
+      let linkLine = `- ${link(
+        linkText,
+        linkTarget(`webhooks/${op.fileName}.md`)
+      )}`;
+
+      if (op.operation.summary) {
+        linkLine += `: ${op.operation.summary}`;
+      } else if (op.operation.description) {
+        linkLine += `: ${firstSentence(op.operation.description)}`;
+      }
+
+      content += linkLine + "\n";
+    }
+    content += "\n";
+  }
+
+  // Add the schemas, for looking up a type directly
+  const schemaLines = Object.entries(openapi.components?.schemas || {})
+    .map(([name, schema]) => {
+      const fileName = schemaFiles.get(componentRef("schemas", name));
+      const linkUrl = fileName && linkTarget(`schemas/${fileName}.md`);
+      if (!linkUrl) return null;
+
+      let linkLine = `- ${link(name, linkUrl)}`;
+      if (schema?.description) {
+        linkLine += `: ${firstSentence(schema.description)}`;
+      } else if (schema?.title) {
+        linkLine += `: ${schema.title}`;
+      }
+      return linkLine + "\n";
+    })
+    .filter(Boolean);
+  if (schemaLines.length > 0) {
+    content += `## Schemas\n\n`;
+    content += `Types used by the operations, each with its fields and where it is used.\n\n`;
+    content += schemaLines.join("") + "\n";
+  }
+
+  return content;
+}
+
+/**
+ * Generate the root llms.txt of a workspace, linking to the llms.txt of
+ * each API in `apis` (`{ name, openapi }`) and of the merged view in
+ * `merged`, if any. `fileTokens` gives the token count of a file.
+ */
+function generateWorkspaceLlmsTxt(
+  apis,
+  { title, description, merged, fileTokens }
+) {
+  const link = (text, path) => {
+    const tokens = fileTokens(path);
+    return tokens === undefined
+      ? `[${text}](${path})`
+      : `[${text}](${path}) (${formatTokens(tokens)})`;
+  };
+
+  let content = `# ${title}\n\n`;
+  content += `> ${description || `Documentation for ${apis.length} APIs.`}\n\n`;
+
+  content += `## APIs\n\n`;
+  for (const { name, openapi } of apis) {
+    const version = openapi.info?.version
+      ? ` (version ${openapi.info.version})`
+      : "";
+    content += `- ${link(
+      openapi.info?.title || name,
+      `${name}/llms.txt`
+    )}: ${apiSummary(openapi)}${version}\n`;
+  }
+  content += "\n";
+
+  if (merged) {
+    content += `## Merged view\n\n`;
+    content += `- ${link(
+      "All APIs",
+      `${merged}/llms.txt`
+    )} Every API's operations together; component names that differ between APIs are prefixed with the API's name\n\n`;
+  }
+
+  return content;
+}
+
+/**
+ * Add a subset to the files as YAML, warning about anything that keeps it
+ * from being a valid standalone OpenAPI document. `source` names the
+ * operation, tag or schema the file was generated from. With
+ * `schemaFiles`, the subset is written referring to schema files (see
+ * linkSchemas) once it was validated whole.
+ */
+function writeSubset(files, filePath, subset, source, warn, schemaFiles) {
+  for (const problem of validateOpenAPI(subset)) {
+    warn({
+      code: "INVALID_SUBSET",
+      file: filePath,
+      message: `${filePath}: ${problem}`,
+    });
+  }
+  files[filePath] = {
+    content: dump(linkSchemas(subset, schemaFiles), {
+      noRefs: true,
+      indent: 2,
+    }),
+    ...(source && { source }),
+  };
+}
+
+/**
+ * An operation (or webhook) collected from the dereferenced document, with
+ * its path item and operation from the bundled document, where schemas are
+ * still `$ref`s
+ */
+function bundledOperation(op, openapi) {
+  const pathItem = op.webhook
+    ? openapi.webhooks[op.webhook]
+    : openapi.paths[op.path];
+  return { ...op, pathItem, operation: pathItem[op.method] };
+}
+
+/**
+ * Render operations (or webhooks) collected from the dereferenced document
+ * as TypeScript-like declarations, from the bundled document so recursive
+ * schemas keep their names. `title` says what the file holds.
+ */
+function renderTypeScript(ops, title, { openapi, recursive }) {
+  const bundledOps = ops.map((op) => bundledOperation(op, openapi));
+  return renderOperationsTypeScript(bundledOps, openapi, {
+    title: `${openapi.info?.title || "API"}: ${title}`,
+    recursive,
+  });
+}
+
+/**
+ * Build the paths object holding the given operations
+ */
+function pathsFor(openapi, ops) {
+  const paths = {};
+  for (const { path, method } of ops) {
+    paths[path] = paths[path] || {};
+    paths[path][method] = openapi.paths[path][method];
+  }
+  return paths;
+}
+
+/**
+ * Split operations into chunks whose YAML subset (or TypeScript, with that
+ * style) stays within maxTokens. Every chunk becomes its own subset, so the
+ * schemas it needs are repeated.
+ */
+function chunkOperations(ops, context) {
+  const { openapi, graph, maxTokens, countTokens, style, linkedSchemas } =
+    context;
+  const size = (chunk) =>
+    countTokens(
+      style === "typescript"
+        ? renderTypeScript(chunk, "", context)
+        : dump(
+            linkSchemas(
+              createSubset(openapi, pathsFor(openapi, chunk), null, graph),
+              linkedSchemas
+            ),
+            { noRefs: true, indent: 2 }
+          )
+    );
+
+  if (!maxTokens || size(ops) <= maxTokens) return [ops];
+
+  const chunks = [];
+  let current = [];
+  for (const op of ops) {
+    if (current.length > 0 && size([...current, op]) > maxTokens) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(op);
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Write the YAML and markdown files of one tag, named `fileName`, split into
+ * numbered parts if it is too large. Returns the markdown file of each part.
+ */
+function generateTagFiles(
+  files,
+  fileName,
+  title,
+  tagData,
+  ops,
+  context,
+  source
+) {
+  const { openapi, graph, tagFileName, warn, markdown } = context;
+  const chunks = chunkOperations(ops, context);
+
+  return chunks.map((chunk, i) => {
+    const name =
+      chunks.length === 1 ? fileName : tagFileName(`${fileName}-${i + 1}`);
+    const partTitle =
+      chunks.length === 1
+        ? title
+        : `${title} (part ${i + 1} of ${chunks.length})`;
+    const subset = createSubset(openapi, pathsFor(openapi, chunk), null, graph);
+
+    writeSubset(
+      files,
+      `tags/${name}.yaml`,
+      subset,
+      source,
+      warn,
+      context.linkedSchemas
+    );
+    if (context.style === "typescript") {
+      files[`tags/${name}.ts`] = {
+        content: renderTypeScript(chunk, `${partTitle} operations`, context),
+        ...(source && { source }),
+      };
+    }
+    files[`tags/${name}.md`] = {
+      content: renderTagMarkdown(
+        partTitle,
+        tagData,
+        chunk.map(markdown.operation),
+        markdown.openapi,
+        { schemaLink: markdown.schemaLink }
+      ),
+      ...(source && { source }),
+    };
+    return `tags/${name}.md`;
+  });
+}
+
+/**
+ * Write `schemas/{name}.md` and `schemas/{name}.yaml` for every schema of
+ * the document. The markdown lists the schema's fields, the schemas it
+ * refers to and is referred to by, and the operations and webhooks in `ops`
+ * using it, directly or through other schemas.
+ */
+function generateSchemaFiles(files, ops, context) {
+  const { openapi, graph, schemaFiles, emit, style, warn } = context;
+
+  const usedBy = new Map();
+  for (const op of ops) {
+    const { operation, pathItem } = bundledOperation(op, openapi);
+    const refs = closeRefs(
+      collectRefs([pathItem.parameters, operation]),
+      graph
+    );
+    for (const ref of refs) {
+      if (!usedBy.has(ref)) usedBy.set(ref, []);
+      usedBy.get(ref).push(op);
+    }
+  }
+
+  const referencedBy = new Map();
+  for (const ref of schemaFiles.keys()) {
+    for (const target of graph.get(ref) || []) {
+      if (target === ref || !schemaFiles.has(target)) continue;
+      if (!referencedBy.has(target)) referencedBy.set(target, []);
+      referencedBy.get(target).push(ref);
+    }
+  }
+
+  const schemas = Object.entries(openapi.components?.schemas || {});
+  const names = new Map(
+    schemas.map(([name]) => [componentRef("schemas", name), name])
+  );
+  const schemaLink = (ref) =>
+    schemaFiles.has(ref) ? `${schemaFiles.get(ref)}.md` : null;
+  const schemaItem = (ref) => `- [${names.get(ref)}](${schemaLink(ref)})`;
+  // The operation's markdown file, else the file written in its place
+  const operationFile = (op) =>
+    [".md", style === "typescript" ? ".ts" : ".yaml"]
+      .map(
+        (extension) =>
+          `${op.webhook ? "webhooks" : "operations"}/${op.fileName}${extension}`
+      )
+      .find((path) => emitsFile(path, emit));
+  const operationItem = (op) => {
+    const method = op.method.toUpperCase();
+    const title = op.webhook
+      ? `Webhook ${op.webhook} (${method})`
+      : `${method} ${op.path}`;
+    const file = operationFile(op);
+    const summary = op.operation.summary ? `: ${op.operation.summary}` : "";
+    return `- ${file ? `[${title}](../${file})` : title}${summary}`;
+  };
+  const section = (title, items) =>
+    items.length > 0 ? `\n## ${title}\n\n${items.join("\n")}\n` : "";
+
+  for (const [name, schema] of schemas) {
+    const ref = componentRef("schemas", name);
+    const fileName = schemaFiles.get(ref);
+    const references = [...(graph.get(ref) || [])].filter(
+      (target) => target !== ref && schemaFiles.has(target)
+    );
+    const users = usedBy.get(ref) || [];
+
+    files[`schemas/${fileName}.md`] = {
+      content:
+        renderSchemaMarkdown(name, schema, 1, { schemaLink }) +
+        section("References", references.map(schemaItem)) +
+        section(
+          "Referenced by",
+          (referencedBy.get(ref) || []).map(schemaItem)
+        ) +
+        (users.length > 0
+          ? section("Used by", users.map(operationItem))
+          : "\nNot used by any operation.\n"),
+      source: { schema: name },
+    };
+    writeSubset(
+      files,
+      `schemas/${fileName}.yaml`,
+      createSchemaSubset(openapi, name, graph),
+      { schema: name },
+      warn
+    );
+  }
+}
+
+/**
+ * Generate llms-full.txt: the overview, every operation grouped by tag, the
+ * fetched external docs, and the schemas the operations share, each once.
+ * `codeSamplesFor` gives the code samples to show for an operation.
+ */
+function generateLlmsFullTxt(
+  openapi,
+  operations,
+  externalDocs,
+  graph,
+  untaggedTitle = "General",
+  codeSamplesFor = () => []
+) {
+  let content = generateOverview(openapi);
+
+  const tagInfo = new Map((openapi.tags || []).map((tag) => [tag.name, tag]));
+  const tagNames = [...new Set(operations.flatMap((op) => op.tags))].sort();
+  const sections = tagNames.map((tag) => ({
+    name: tag,
+    description: tagInfo.get(tag)?.description,
+    operations: operations.filter((op) => op.tags.includes(tag)),
+  }));
+  sections.push({
+    name: untaggedTitle,
+    operations: operations.filter((op) => op.tags.length === 0),
+  });
+
+  for (const section of sections) {
+    if (section.operations.length === 0) continue;
+
+    content += `## ${section.name}\n\n`;
+    if (section.description) {
+      content += `${section.description.trim()}\n\n`;
+    }
+
+    // Render from the bundled document so shared schemas appear by name
+    for (const op of section.operations) {
+      const rendered = renderOperationMarkdown(
+        bundledOperation(op, openapi),
+        openapi,
+        3,
+        { codeSamples: codeSamplesFor(op) }
+      );
+      content += `${rendered}\n`;
+    }
+  }
+
+  const webhooks = collectWebhooks(openapi);
+  if (webhooks.length > 0) {
+    content += `## Webhooks\n\n`;
+    for (const op of webhooks) {
+      content += `${renderOperationMarkdown(op, openapi, 3)}\n`;
+    }
+  }
+
+  if (externalDocs.length > 0) {
+    content += `## External Documentation\n\n`;
+    for (const docs of externalDocs) {
+      content += `### ${docs.title}\n\nSource: ${docs.url}\n\n`;
+      content += `${docs.content.trim()}\n\n`;
+    }
+  }
+
+  const usedRefs = closeRefs(
+    collectRefs([openapi.paths, openapi.webhooks]),
+    graph
+  );
+  const schemas = Object.entries(openapi.components?.schemas || {}).filter(
+    ([name]) => usedRefs.has(componentRef("schemas", name))
+  );
+  if (schemas.length > 0) {
+    content += `## Schemas\n\n`;
+    for (const [name, schema] of schemas) {
+      content += `${renderSchemaMarkdown(name, schema)}\n`;
+    }
+  }
+
+  return content;
+}
+
+/**
+ * Check the document and options given to generateLlms, throwing a
+ * BAD_INPUT or INVALID_SPEC error. A string is parsed as JSON or YAML.
+ * Returns the document and the resolved options.
+ */
+function checkInput(openapi, options) {
+  if (typeof openapi === "string") {
+    try {
+      openapi = parseDocument(openapi);
+    } catch (error) {
+      throw new OpenAPIForLLMsError(
+        ERROR_CODES.BAD_INPUT,
+        `Could not parse the document: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
+  if (!openapi || typeof openapi !== "object" || Array.isArray(openapi)) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.BAD_INPUT,
+      "The document must be an object"
+    );
+  }
+  if (
+    typeof openapi.openapi !== "string" &&
+    typeof openapi.swagger !== "string"
+  ) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.INVALID_SPEC,
+      "Not an OpenAPI document: `openapi` (or `swagger`) version is missing"
+    );
+  }
+
+  let config;
+  try {
+    config = resolveConfig(options);
+  } catch (error) {
+    throw new OpenAPIForLLMsError(ERROR_CODES.BAD_INPUT, error.message, {
+      cause: error,
+    });
+  }
+  if (options.tools !== undefined && !TOOL_PRESETS.includes(options.tools)) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.BAD_INPUT,
+      `options: unknown \`tools\` preset "${
+        options.tools
+      }", use one of: ${TOOL_PRESETS.join(", ")}`
+    );
+  }
+  if (
+    options.changelog !== undefined &&
+    typeof options.changelog !== "string"
+  ) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.BAD_INPUT,
+      "options: `changelog` must be a string"
+    );
+  }
+  if (
+    config.maxTokens !== undefined &&
+    !(Number.isInteger(config.maxTokens) && config.maxTokens > 0)
+  ) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.BAD_INPUT,
+      "options: `maxTokens` must be a positive integer"
+    );
+  }
+  return { openapi, config };
+}
+
+/**
+ * Generate all files for an OpenAPI document (an object, or JSON or YAML
+ * text). `openapiFile` is how llms.txt links to the spec. Resolves to
+ * `{ files, warnings }`: `files` maps each path to its `content`, `tokens`
+ * and, for files generated from one operation or tag, its `source`;
+ * `warnings` lists `{ code, message, file?, url? }` for problems that did
+ * not stop generation.
+ *
+ * `options.baseUrl` is the absolute URL of the document, used to resolve
+ * relative `$ref`s; `options.loader` replaces how referenced documents are
+ * loaded (see `bundle` in deref.js).
+ *
+ * Every file gets a `tokens` count from `options.countTokens` (a heuristic
+ * estimate by default). With `options.maxTokens`, tag files larger than that
+ * are split into numbered parts.
+ *
+ * With the `style` option "typescript", operation, tag and webhook files are
+ * written as TypeScript-like declarations (`.ts`, see typescript.js) instead
+ * of OpenAPI YAML, each with `yamlTokens`, the count it would have as YAML.
+ *
+ * `options.changelog` is markdown written to `llms-changelog.md` and linked
+ * from llms.txt, like the comparison with a previous version of the spec
+ * that renderChangelog (see diff.js) makes from diffOpenAPI's result.
+ *
+ * With `options.tools` set to a preset name (see TOOL_PRESETS in tools.js),
+ * tool definitions for function calling are added as `tools.json` and
+ * `tools/{tag}.json`.
+ *
+ * External docs are fetched with `options.fetchDocs`, a function from URL
+ * to markdown or null (see createDocsFetcher in external-docs.js).
+ *
+ * Every schema of `components.schemas` gets `schemas/{name}.md`, with its
+ * fields and the operations using it, and `schemas/{name}.yaml`, and is
+ * listed in llms.txt. With `schemaLinks`, operation, tag and webhook files
+ * link to these files instead of inlining the schemas: markdown shows them
+ * as links and YAML subsets `$ref` the schema files. TypeScript files keep
+ * their own declarations.
+ *
+ * The options of a config file are accepted too: which operations to
+ * include (see filterOpenAPI in filter.js), `untaggedTitle`, which file
+ * kinds to `emit`, the languages of the request samples added to operation
+ * files (`codeSamples`, see samples.js), whether llms-full.txt gets them
+ * too (`fullCodeSamples`), and whether request and response bodies without
+ * examples get generated ones in markdown (`syntheticExamples`, seeded by
+ * `exampleSeed`, see examples.js).
+ *
+ * `options.onProgress` is called with `{ stage, done, total }` as work
+ * goes on, for the stages "bundle", "operations", "tags", "external-docs"
+ * and "llms.txt".
+ *
+ * Throws an OpenAPIForLLMsError: BAD_INPUT for an unusable document or
+ * options, UNRESOLVED_REF for a `$ref` that cannot be loaded, and
+ * INVALID_SPEC for a document that cannot be processed.
+ */
+export async function generateLlms(openapi, openapiFile, options = {}) {
+  const input = checkInput(openapi, options);
+  const { config } = input;
+  const { maxTokens, countTokens = estimateTokens, untaggedTitle } = config;
+  const onProgress = options.onProgress || (() => {});
+  const warnings = [];
+  const warn = (warning) => warnings.push(warning);
+  let files = {};
+
+  try {
+    // Pull external and relative $refs into one self-contained document,
+    // upgraded to the OpenAPI 3 shape if it is Swagger 2.0, and leave out
+    // what the options exclude
+    onProgress({ stage: "bundle", done: 0, total: 1 });
+    const bundled = await bundle(input.openapi, options);
+    onProgress({ stage: "bundle", done: 1, total: 1 });
+    openapi = filterOpenAPI(normalizeOpenAPI(bundled), config);
+
+    // Dereference the OpenAPI document for processing
+    const dereferenced = dereferenceSync(openapi);
+
+    // Which components reference which, shared by all subsets
+    const graph = buildRefGraph(openapi);
+    // File names of tags; "untagged" is kept for untagged operations
+    const tagFileName = createNamer({
+      reserved: ["untagged", "untagged-docs"],
+      suffixes: ["-docs"],
+    });
+    // File names of the schemas, by ref. With `schemaLinks`, operation, tag
+    // and webhook files refer to these files rather than inlining schemas,
+    // as far as they are written.
+    const schemaFileName = createNamer();
+    const schemaFiles = new Map(
+      Object.keys(openapi.components?.schemas || {}).map((name) => [
+        componentRef("schemas", name),
+        schemaFileName(name),
+      ])
+    );
+    const linksSchemas = (extension) =>
+      config.schemaLinks && emitsFile(`schemas/.${extension}`, config.emit);
+    const linkedSchemas = linksSchemas("yaml") ? schemaFiles : undefined;
+    const schemaLink = linksSchemas("md")
+      ? (ref) =>
+          schemaFiles.has(ref) ? `../schemas/${schemaFiles.get(ref)}.md` : null
+      : undefined;
+
+    const context = {
+      openapi,
+      dereferenced,
+      graph,
+      maxTokens,
+      countTokens,
+      tagFileName,
+      warn,
+      style: config.style,
+      emit: config.emit,
+      schemaFiles,
+      linkedSchemas,
+      // Markdown is rendered from the bundled document when schemas are
+      // linked, so they stay `$ref`s, and else from the dereferenced one
+      markdown: schemaLink
+        ? {
+            openapi,
+            operation: (op) => bundledOperation(op, openapi),
+            schemaLink,
+          }
+        : { openapi: dereferenced, operation: (op) => op },
+      // Schemas the TypeScript style declares by name
+      recursive:
+        config.style === "typescript" ? recursiveRefs(graph) : new Set(),
+    };
+    const { markdown } = context;
+
+    // Collect operations and tags
+    const operations = [];
+    const docsToFetch = [];
+    const tags = new Set();
+    const tagInfo = new Map();
+
+    // Collect tag information from the OpenAPI document
+    if (openapi.tags) {
+      for (const tag of openapi.tags) {
+        tagInfo.set(tag.name, tag);
+      }
+    }
+
+    for (const op of collectOperations(dereferenced)) {
+      const { operationId, fileName, path, method, operation } = op;
+      operations.push(op);
+      if (fileName !== slugify(operationId)) {
+        warn({
+          code: "FILE_NAME_CLASH",
+          file: `operations/${fileName}.yaml`,
+          message: `operationId "${operationId}" clashes with another file name, writing operations/${fileName}.*`,
+        });
+      }
+      op.tags.forEach((tag) => tags.add(tag));
+
+      if (operation.externalDocs?.url) {
+        docsToFetch.push({
+          path: `operations/${fileName}-docs.md`,
+          title: `${method.toUpperCase()} ${path}`,
+          url: operation.externalDocs.url,
+          source: { operationId },
+        });
+      }
+    }
+
+    // Request samples per operation, built from the dereferenced document
+    const generateExample = createExampleGenerator({
+      seed: config.exampleSeed,
+    });
+    const codeSamples = new Map(
+      operations.map((op) => [
+        op,
+        generateCodeSamples(op, dereferenced, config.codeSamples, {
+          generateExample,
+        }),
+      ])
+    );
+    // Examples are generated from dereferenced schemas even when markdown
+    // is rendered from the bundled document
+    const markdownOptions = {
+      ...(config.syntheticExamples && {
+        generateExample: schemaLink
+          ? (schema, exampleOptions) =>
+              generateExample(
+                dereferenceSchema(schema, dereferenced),
+                exampleOptions
+              )
+          : generateExample,
+      }),
+      schemaLink,
+    };
+
+    // Generate operation files
+    operations.forEach((op, i) => {
+      const { operationId, fileName, path, method } = op;
+      let operation = openapi.paths[path][method];
+      // Samples go in as Redoc's `x-codeSamples`, unless the document has
+      // its own or extensions are stripped
+      if (
+        codeSamples.get(op).length > 0 &&
+        !operation["x-codeSamples"] &&
+        !config.stripExtensions
+      ) {
+        operation = {
+          ...operation,
+          "x-codeSamples": codeSamples
+            .get(op)
+            .map(({ lang, label, source }) => ({ lang, label, source })),
+        };
+      }
+      const operationSubset = createSubset(
+        openapi, // Use original openapi to preserve refs
+        { [path]: { [method]: operation } },
+        null,
+        graph
+      );
+
+      writeSubset(
+        files,
+        `operations/${fileName}.yaml`,
+        operationSubset,
+        { operationId },
+        warn,
+        linkedSchemas
+      );
+      if (config.style === "typescript") {
+        files[`operations/${fileName}.ts`] = {
+          content: renderTypeScript(
+            [op],
+            `${method.toUpperCase()} ${path}`,
+            context
+          ),
+          source: { operationId },
+        };
+      }
+      onProgress({
+        stage: "operations",
+        done: i + 1,
+        total: operations.length,
+      });
+    });
+
+    // Generate webhook files (OpenAPI 3.1)
+    const webhooks = collectWebhooks(dereferenced);
+    for (const webhook of webhooks) {
+      writeSubset(
+        files,
+        `webhooks/${webhook.fileName}.yaml`,
+        createWebhookSubset(openapi, webhook, graph),
+        { operationId: webhook.operationId },
+        warn,
+        linkedSchemas
+      );
+      if (config.style === "typescript") {
+        files[`webhooks/${webhook.fileName}.ts`] = {
+          content: renderTypeScript(
+            [webhook],
+            `webhook ${webhook.webhook}`,
+            context
+          ),
+          source: { operationId: webhook.operationId },
+        };
+      }
+      files[`webhooks/${webhook.fileName}.md`] = {
+        content: renderOperationMarkdown(
+          markdown.operation(webhook),
+          markdown.openapi,
+          1,
+          markdownOptions
+        ),
+        source: { operationId: webhook.operationId },
+      };
+    }
+
+    // Render markdown for each operation
+    for (const operation of operations) {
+      files[`operations/${operation.fileName}.md`] = {
+        content: renderOperationMarkdown(
+          markdown.operation(operation),
+          markdown.openapi,
+          1,
+          { ...markdownOptions, codeSamples: codeSamples.get(operation) }
+        ),
+        source: { operationId: operation.operationId },
+      };
+    }
+
+    // One file per schema, with the operations using it
+    generateSchemaFiles(files, [...operations, ...webhooks], context);
+
+    // Name the files of every tag before any is written, so that parts of a
+    // split tag cannot take the name of another tag
+    const tagFiles = new Map([...tags].map((tag) => [tag, tagFileName(tag)]));
+
+    // Handle untagged operations after the tags
+    const untaggedOps = operations.filter((op) => op.tags.length === 0);
+    const tagCount = tags.size + (untaggedOps.length > 0 ? 1 : 0);
+
+    // Generate tag files
+    const tagParts = new Map();
+    for (const tag of tags) {
+      const tagOps = operations.filter((op) => op.tags.includes(tag));
+      tagParts.set(
+        tag,
+        generateTagFiles(
+          files,
+          tagFiles.get(tag),
+          tag,
+          tagInfo.get(tag),
+          tagOps,
+          context,
+          { tag }
+        )
+      );
+      onProgress({ stage: "tags", done: tagParts.size, total: tagCount });
+
+      const tagData = tagInfo.get(tag);
+      if (tagData?.externalDocs?.url) {
+        docsToFetch.push({
+          path: `tags/${tagFiles.get(tag)}-docs.md`,
+          title: tag,
+          url: tagData.externalDocs.url,
+          source: { tag },
+        });
+      }
+    }
+
+    if (untaggedOps.length > 0) {
+      tagParts.set(
+        null,
+        generateTagFiles(
+          files,
+          "untagged",
+          untaggedTitle,
+          null,
+          untaggedOps,
+          context
+        )
+      );
+      onProgress({ stage: "tags", done: tagParts.size, total: tagCount });
+    }
+
+    // Fetch all external docs at once; the fetcher bounds concurrency
+    const fetchDocs = options.fetchDocs || createDocsFetcher();
+    const toFetch = config.emit.includes("external-docs") ? docsToFetch : [];
+    let fetchedCount = 0;
+    const fetched = await Promise.all(
+      toFetch.map(async ({ url }) => {
+        const content = await fetchDocs(url, {
+          onWarning: (message) => warn({ code: "EXTERNAL_DOCS", url, message }),
+        });
+        onProgress({
+          stage: "external-docs",
+          done: ++fetchedCount,
+          total: toFetch.length,
+        });
+        return content;
+      })
+    );
+    const externalDocs = [];
+    toFetch.forEach(({ path, title, url, source }, i) => {
+      if (!fetched[i]) return;
+      files[path] = { content: fetched[i], source, externalDocs: url };
+      externalDocs.push({ title, url, content: fetched[i] });
+    });
+
+    // Tool definitions for function calling, all together and per tag
+    if (options.tools) {
+      const definitions = toToolDefinitions(operations, {
+        preset: options.tools,
+      });
+      const toJson = (tools) => JSON.stringify(tools, null, 2) + "\n";
+
+      files["tools.json"] = { content: toJson(definitions) };
+      for (const tag of tags) {
+        files[`tools/${tagFiles.get(tag)}.json`] = {
+          content: toJson(
+            definitions.filter((_, i) => operations[i].tags.includes(tag))
+          ),
+          source: { tag },
+        };
+      }
+      if (untaggedOps.length > 0) {
+        files["tools/untagged.json"] = {
+          content: toJson(
+            definitions.filter((_, i) => operations[i].tags.length === 0)
+          ),
+        };
+      }
+    }
+
+    files["llms-full.txt"] = {
+      content: generateLlmsFullTxt(
+        openapi,
+        operations,
+        externalDocs,
+        graph,
+        untaggedTitle,
+        (op) => (config.fullCodeSamples ? codeSamples.get(op) : [])
+      ),
+    };
+
+    if (options.changelog !== undefined) {
+      files["llms-changelog.md"] = { content: options.changelog };
+    }
+
+    // TypeScript files take the place of the YAML ones, which are still
+    // generated to be validated and to measure the saving
+    for (const [path, file] of Object.entries(files)) {
+      const yamlPath = path.replace(/\.ts$/, ".yaml");
+      if (yamlPath === path || !files[yamlPath]) continue;
+      file.yamlTokens = countTokens(files[yamlPath].content);
+      delete files[yamlPath];
+    }
+
+    for (const path of Object.keys(files)) {
+      if (!emitsFile(path, config.emit, files[path])) delete files[path];
+    }
+
+    for (const file of Object.values(files)) {
+      file.tokens = countTokens(file.content);
+    }
+
+    // Generate main llms.txt last, so its links can carry token counts.
+    // Markdown files that were not written are linked as YAML (or
+    // TypeScript) instead.
+    const linkTarget = (path) => {
+      if (files[path]) return path;
+      return (
+        [".yaml", ".ts"]
+          .map((extension) => path.replace(/\.md$/, extension))
+          .find((candidate) => files[candidate]) || null
+      );
+    };
+    const llmsTxt = generateLlmsTxt(dereferenced, openapiFile, {
+      tagParts,
+      fileTokens: (path) => files[path]?.tokens,
+      linkTarget,
+      untaggedTitle,
+      schemaFiles,
+    });
+    files = {
+      "llms.txt": { content: llmsTxt, tokens: countTokens(llmsTxt) },
+      ...files,
+    };
+    onProgress({ stage: "llms.txt", done: 1, total: 1 });
+  } catch (error) {
+    if (error instanceof OpenAPIForLLMsError) throw error;
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.INVALID_SPEC,
+      `Error processing OpenAPI: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  return { files, warnings };
+}
+
+/**
+ * Generate all files for an OpenAPI document, like generateLlms, resolving
+ * to the files only. Warnings are passed to `options.onWarning`, if given.
+ */
+export async function processOpenAPI(openapi, openapiFile, options = {}) {
+  const { files, warnings } = await generateLlms(openapi, openapiFile, options);
+  if (options.onWarning) warnings.forEach(options.onWarning);
+  return files;
+}
+
+/**
+ * Example requests and responses for every operation of a document (an
+ * object, or JSON or YAML text), keyed by operationId: `{ method, path,
+ * parameters, requestBody, responses }`, with values by parameter location
+ * and name, and by status and media type. Examples the document gives are
+ * used; others are generated, the same as in the generated files for the
+ * same `exampleSeed` (see examples.js).
+ *
+ * Takes the `baseUrl`, `loader` and filtering options of generateLlms and
+ * throws the same errors.
+ */
+export async function generateExamples(openapi, options = {}) {
+  const input = checkInput(openapi, options);
+  try {
+    const bundled = await bundle(input.openapi, options);
+    const dereferenced = dereferenceSync(
+      filterOpenAPI(normalizeOpenAPI(bundled), input.config)
+    );
+    const generateExample = createExampleGenerator({
+      seed: input.config.exampleSeed,
+    });
+    return Object.fromEntries(
+      collectOperations(dereferenced).map((op) => [
+        op.operationId,
+        operationExamples(op, generateExample),
+      ])
+    );
+  } catch (error) {
+    if (error instanceof OpenAPIForLLMsError) throw error;
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.INVALID_SPEC,
+      `Error processing OpenAPI: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Lint a document (an object, or JSON or YAML text) for how well it will
+ * read to an LLM, after bundling and filtering it like generateLlms does.
+ * Resolves to `{ findings, counts, score }` (see lintDocument in lint.js).
+ * `options.lint` holds the rule severities and `maxOperationTokens`.
+ *
+ * A `$ref` that cannot be bundled is reported as a finding and the rest is
+ * linted unbundled. Throws BAD_INPUT or INVALID_SPEC like generateLlms.
+ */
+export async function lintOpenAPI(openapi, options = {}) {
+  const input = checkInput(openapi, options);
+  let lintConfig;
+  try {
+    lintConfig = resolveLintConfig(options.lint, "options: `lint`");
+  } catch (error) {
+    throw new OpenAPIForLLMsError(ERROR_CODES.BAD_INPUT, error.message, {
+      cause: error,
+    });
+  }
+
+  const problems = [];
+  let bundled;
+  try {
+    bundled = await bundle(input.openapi, options);
+  } catch (error) {
+    if (error.code !== ERROR_CODES.UNRESOLVED_REF) throw error;
+    problems.push({
+      rule: "ref-unresolved",
+      location: `$ref "${error.ref}"`,
+      pointer: "",
+      message: `Could not be bundled: ${
+        error.cause?.message ?? `not found in ${error.url}`
+      }`,
+    });
+    bundled = input.openapi;
+  }
+
+  try {
+    const filtered = filterOpenAPI(normalizeOpenAPI(bundled), input.config);
+    return lintDocument(filtered, dereferenceSync(filtered), lintConfig, {
+      countTokens: input.config.countTokens,
+      problems,
+    });
+  } catch (error) {
+    if (error instanceof OpenAPIForLLMsError) throw error;
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.INVALID_SPEC,
+      `Error processing OpenAPI: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Compare two versions of a spec (objects, or JSON or YAML text), each
+ * bundled, filtered and dereferenced like generateLlms does. Resolves to
+ * the added, removed, renamed and changed operations and which changes are
+ * breaking (see diffDocuments in diff.js).
+ *
+ * `options.baseUrl` is the URL of the new version and
+ * `options.previousBaseUrl` that of the old one; the other options are
+ * those of generateLlms, which also decides the errors thrown.
+ */
+export async function diffOpenAPI(previous, openapi, options = {}) {
+  const before = checkInput(previous, options);
+  const after = checkInput(openapi, options);
+  try {
+    const prepare = async (input, baseUrl) =>
+      dereferenceSync(
+        filterOpenAPI(
+          normalizeOpenAPI(
+            await bundle(input.openapi, { ...options, baseUrl })
+          ),
+          input.config
+        )
+      );
+    return diffDocuments(
+      await prepare(before, options.previousBaseUrl),
+      await prepare(after, options.baseUrl)
+    );
+  } catch (error) {
+    if (error instanceof OpenAPIForLLMsError) throw error;
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.INVALID_SPEC,
+      `Error processing OpenAPI: ${error.message}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Generate the files of several APIs like generateLlms, each into a
+ * directory of its own, with a root llms.txt linking to the llms.txt of
+ * each. `apis` are `{ name, openapi, openapiFile, baseUrl, options }`:
+ * `name` is the directory (from the title when not given), `openapiFile`
+ * how the API's llms.txt links to its spec, and `options` override the
+ * shared `options` for that API.
+ *
+ * `options.title` and `options.description` head the root llms.txt. With
+ * `options.merged` set to a directory name, the APIs are also merged into
+ * one document (see mergeDocuments in merge.js), which is written there as
+ * `openapi.yaml` with its generated files, so operations of every service
+ * can be looked at together.
+ *
+ * Resolves to `{ files, warnings }` like generateLlms, each warning with
+ * the `api` it is about. Throws like generateLlms.
+ */
+export async function generateWorkspace(apis, options = {}) {
+  const { title = "APIs", description, merged, ...shared } = options;
+  if (!Array.isArray(apis) || apis.length === 0) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.BAD_INPUT,
+      "The workspace must list at least one API"
+    );
+  }
+  if (merged !== undefined && (typeof merged !== "string" || !merged)) {
+    throw new OpenAPIForLLMsError(
+      ERROR_CODES.BAD_INPUT,
+      "options: `merged` must be a directory name"
+    );
+  }
+
+  const dirName = createNamer({ reserved: merged ? [merged] : [] });
+  const workspace = [];
+  const files = {};
+  const warnings = [];
+  const add = (dir, output) => {
+    for (const [path, file] of Object.entries(output.files)) {
+      files[`${dir}/${path}`] = file;
+    }
+    for (const warning of output.warnings) {
+      warnings.push({
+        ...warning,
+        api: dir,
+        message: `${dir}: ${warning.message}`,
+        ...(warning.file && { file: `${dir}/${warning.file}` }),
+      });
+    }
+  };
+
+  for (const api of apis) {
+    const apiOptions = { ...shared, ...api.options, baseUrl: api.baseUrl };
+    const input = checkInput(api.openapi, apiOptions);
+    const name = dirName(api.name ?? input.openapi.info?.title ?? "api");
+    add(name, await generateLlms(input.openapi, api.openapiFile, apiOptions));
+    workspace.push({ name, input, options: apiOptions });
+  }
+
+  if (merged) {
+    try {
+      const documents = [];
+      for (const { name, input, options: apiOptions } of workspace) {
+        const bundled = await bundle(input.openapi, apiOptions);
+        documents.push({
+          name,
+          openapi: filterOpenAPI(normalizeOpenAPI(bundled), input.config),
+        });
+      }
+      const { openapi, conflicts } = mergeDocuments(documents, {
+        title,
+        description,
+      });
+      for (const conflict of conflicts) {
+        warnings.push({
+          code: "MERGE_CONFLICT",
+          api: conflict.api,
+          message: `${conflict.api}: ${conflict.method} ${conflict.path} is left out of the merged view, ${conflict.with} has it too`,
+        });
+      }
+
+      // Each API was filtered by its own options already
+      add(
+        merged,
+        await generateLlms(openapi, "openapi.yaml", {
+          ...shared,
+          include: {},
+          exclude: {},
+          dropDeprecated: false,
+          includeInternal: true,
+        })
+      );
+      const spec = dump(openapi, { noRefs: true, indent: 2 });
+      files[`${merged}/openapi.yaml`] = {
+        content: spec,
+        tokens: (shared.countTokens || estimateTokens)(spec),
+      };
+    } catch (error) {
+      if (error instanceof OpenAPIForLLMsError) throw error;
+      throw new OpenAPIForLLMsError(
+        ERROR_CODES.INVALID_SPEC,
+        `Error processing OpenAPI: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
+
+  const llmsTxt = generateWorkspaceLlmsTxt(
+    workspace.map(({ name, input }) => ({ name, openapi: input.openapi })),
+    {
+      title,
+      description,
+      merged,
+      fileTokens: (path) => files[path]?.tokens,
+    }
+  );
+  return {
+    files: {
+      "llms.txt": {
+        content: llmsTxt,
+        tokens: (shared.countTokens || estimateTokens)(llmsTxt),
+      },
+      ...files,
+    },
+    warnings,
+  };
+}
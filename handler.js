@@ -0,0 +1,232 @@
+/**
+ * A standard fetch handler, `(Request) => Promise<Response>`, that serves
+ * the generated files of a spec on demand. It only uses web APIs, so it can
+ * be deployed to edge runtimes as well as run under Node.
+ */
+
+import { parseDocument } from "./deref.js";
+import { ERROR_CODES } from "./errors.js";
+import { createDocsFetcher } from "./external-docs.js";
+import { processOpenAPI } from "./generate.js";
+
+export const CONTENT_TYPES = {
+  md: "text/markdown; charset=utf-8",
+  txt: "text/plain; charset=utf-8",
+  yaml: "text/yaml; charset=utf-8",
+  yml: "text/yaml; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ts: "text/plain; charset=utf-8",
+};
+
+const USAGE = `Serve llms.txt for any OpenAPI spec:
+
+  /{url-encoded spec URL}/llms.txt
+  /llms.txt?url={spec URL}
+
+Every file linked from llms.txt is served next to it.
+`;
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Plain text response
+ */
+function textResponse(status, text, headers = {}) {
+  return new Response(text, {
+    status,
+    headers: { "Content-Type": CONTENT_TYPES.txt, ...headers },
+  });
+}
+
+/**
+ * Strong ETag for content: part of its SHA-256
+ */
+async function etagFor(content) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(content)
+  );
+  const hex = [...new Uint8Array(digest)]
+    .slice(0, 16)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `"${hex}"`;
+}
+
+/**
+ * Create a fetch handler serving generated files.
+ *
+ * With `spec` (a parsed document) or `specUrl`, that spec is served from
+ * the root: `/llms.txt`, `/operations/{id}.yaml`, `/tags/{tag}.md`, ...
+ * Without, the first path segment is the URL-encoded spec URL, so one
+ * deployment serves any spec. A `?url=` query redirects to that form,
+ * since relative links in llms.txt would lose the query.
+ *
+ * Every URL the handler fetches (the spec, the documents it `$ref`s, its
+ * external docs and each redirect on the way) must pass `allowUrl(url)`.
+ * The default allows all of them, so a public deployment should restrict
+ * it: otherwise any spec can make the handler fetch internal addresses.
+ * A `fetchDocs` given in the options is not checked.
+ *
+ * Generated files are kept in memory for `cacheTtl` seconds (for up to
+ * `maxSpecs` specs), which is also the max-age sent to clients along with
+ * an ETag. URLs are loaded with `fetch`; only http(s) URLs are followed.
+ * Other options are passed on to processOpenAPI.
+ */
+export function createHandler({
+  spec,
+  specUrl,
+  allowUrl = () => true,
+  cacheTtl = 300,
+  maxSpecs = 50,
+  fetch: fetchImpl = globalThis.fetch,
+  ...options
+} = {}) {
+  const generated = new Map(); // spec URL -> { files: Promise, expires }
+
+  // fetch for allowed http(s) URLs only, following redirects itself so
+  // each hop is checked too
+  const allowedFetch = async (url, init = {}) => {
+    for (let redirects = 0; ; redirects++) {
+      if (!/^https?:\/\//.test(url)) {
+        throw new Error(`Only http(s) URLs can be loaded, not ${url}`);
+      }
+      if (!(await allowUrl(url))) throw new Error(`URL not allowed: ${url}`);
+
+      const response = await fetchImpl(url, { ...init, redirect: "manual" });
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status > 399 || !location) {
+        return response;
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects loading ${url}`);
+      }
+      url = new URL(location, url).href;
+    }
+  };
+
+  const loader = async (url) => {
+    const response = await allowedFetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.text();
+  };
+
+  const generate = async (source) => {
+    // A fetcher per generation, so external docs are fetched again once
+    // the cached files expire
+    const generateOptions = {
+      fetchDocs: createDocsFetcher({ fetch: allowedFetch }),
+      ...options,
+      loader,
+    };
+
+    if (source === null) {
+      const files = await processOpenAPI(spec, "openapi.json", generateOptions);
+      files["openapi.json"] = { content: JSON.stringify(spec, null, 2) };
+      return files;
+    }
+
+    let document;
+    try {
+      document = parseDocument(await loader(source));
+    } catch (error) {
+      throw Object.assign(
+        new Error(`Could not load ${source}: ${error.message}`),
+        { status: 502 }
+      );
+    }
+    return processOpenAPI(document, source, {
+      ...generateOptions,
+      baseUrl: source,
+    });
+  };
+
+  const filesFor = (source) => {
+    const key = source ?? "";
+    const now = Date.now();
+    const cached = generated.get(key);
+    if (cached && cached.expires > now) return cached.files;
+
+    const files = generate(source);
+    generated.delete(key);
+    generated.set(key, { files, expires: now + cacheTtl * 1000 });
+    files.catch(() => generated.delete(key));
+
+    // Maps iterate in insertion order, so the first entry is the oldest
+    while (generated.size > maxSpecs) {
+      generated.delete(generated.keys().next().value);
+    }
+    return files;
+  };
+
+  return async (request) => {
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      return textResponse(405, "Method not allowed\n", { Allow: "GET, HEAD" });
+    }
+
+    const url = new URL(request.url);
+    const segments = url.pathname.slice(1).split("/");
+    let source = specUrl ?? null;
+
+    if (!spec && !specUrl) {
+      const query = url.searchParams.get("url");
+      if (query) {
+        const location = new URL(`/${encodeURIComponent(query)}/llms.txt`, url);
+        return new Response(null, {
+          status: 302,
+          headers: { Location: location.href },
+        });
+      }
+
+      source = segments.shift();
+      if (!source) return textResponse(200, USAGE);
+      try {
+        source = decodeURIComponent(source);
+      } catch {
+        return textResponse(400, `Malformed spec URL: ${source}\n`);
+      }
+      if (!/^https?:\/\//.test(source)) {
+        return textResponse(400, `Not an http(s) spec URL: ${source}\n`);
+      }
+      if (!(await allowUrl(source))) {
+        return textResponse(403, `Spec URL not allowed: ${source}\n`);
+      }
+    }
+
+    let path;
+    try {
+      path = segments.map(decodeURIComponent).join("/") || "llms.txt";
+    } catch {
+      return textResponse(400, "Malformed path\n");
+    }
+
+    let files;
+    try {
+      files = await filesFor(source);
+    } catch (error) {
+      const status =
+        error.status || (error.code === ERROR_CODES.UNRESOLVED_REF ? 502 : 422);
+      return textResponse(status, `${error.message}\n`);
+    }
+
+    const file = Object.hasOwn(files, path) ? files[path] : null;
+    if (!file) return textResponse(404, `Not found: /${path}\n`);
+
+    const etag = await etagFor(file.content);
+    const headers = {
+      "Content-Type": CONTENT_TYPES[path.split(".").pop()] || CONTENT_TYPES.txt,
+      "Cache-Control": `public, max-age=${cacheTtl}`,
+      ETag: etag,
+    };
+
+    const ifNoneMatch = request.headers.get("If-None-Match");
+    if (ifNoneMatch?.split(/\s*,\s*/).includes(etag)) {
+      return new Response(null, { status: 304, headers });
+    }
+    return new Response(request.method === "HEAD" ? null : file.content, {
+      headers,
+    });
+  };
+}
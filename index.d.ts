@@ -0,0 +1,453 @@
+/**
+ * Type declarations for the library entry point, index.js.
+ */
+
+/** A parsed OpenAPI 3.x or Swagger 2.0 document */
+export type OpenAPIDocument = Record<string, any>;
+
+export type FileKind =
+  | "operations"
+  | "tags"
+  | "webhooks"
+  | "schemas"
+  | "yaml"
+  | "markdown"
+  | "llms-full"
+  | "external-docs";
+
+export type ToolPreset = "anthropic" | "openai" | "gemini" | "mcp";
+
+/** Format of operation, tag and webhook files next to markdown */
+export type Style = "yaml" | "typescript";
+
+export type CodeSampleLanguage = "curl" | "fetch" | "python";
+
+/** Patterns an operation is matched against; paths and operationIds are globs */
+export interface OperationMatchers {
+  tags?: string[];
+  paths?: string[];
+  methods?: string[];
+  operationIds?: string[];
+}
+
+/** Options of a config file that shape the output */
+export interface FilterOptions {
+  include?: OperationMatchers;
+  exclude?: OperationMatchers;
+  dropDeprecated?: boolean;
+  includeInternal?: boolean;
+  stripExtensions?: boolean;
+  untaggedTitle?: string;
+  emit?: FileKind[];
+  /** Write operation, tag and webhook files as TypeScript declarations instead of YAML */
+  style?: Style;
+  /** Languages of the request samples in operation files; all by default */
+  codeSamples?: CodeSampleLanguage[];
+  /** Also add the request samples to llms-full.txt */
+  fullCodeSamples?: boolean;
+  /** Show generated examples for bodies without one in markdown; true by default */
+  syntheticExamples?: boolean;
+  /** Seed of generated examples; 1 by default */
+  exampleSeed?: number;
+  /** Link operation, tag and webhook files to schemas/{name}.md and .yaml instead of inlining schemas */
+  schemaLinks?: boolean;
+}
+
+export interface DocsFetchOptions {
+  onWarning?: (message: string) => void;
+}
+
+/** Resolves an external docs URL to markdown, or null if it cannot be had */
+export type DocsFetcher = (
+  url: string,
+  options?: DocsFetchOptions
+) => Promise<string | null>;
+
+export type ProgressStage =
+  "bundle" | "operations" | "tags" | "external-docs" | "llms.txt";
+
+export interface Progress {
+  stage: ProgressStage;
+  done: number;
+  total: number;
+}
+
+export interface GenerateOptions extends FilterOptions {
+  /** Absolute URL of the document, to resolve relative `$ref`s against */
+  baseUrl?: string;
+  /** Loads a referenced document by absolute URL */
+  loader?: (url: string) => Promise<string | object>;
+  /** Counts the tokens of a text; a heuristic estimate by default */
+  countTokens?: (text: string) => number;
+  /** Split tag files larger than this many tokens into numbered parts */
+  maxTokens?: number;
+  /** Also generate tool definitions shaped for this preset */
+  tools?: ToolPreset;
+  /** Fetches external docs; createDocsFetcher() by default */
+  fetchDocs?: DocsFetcher;
+  /** Markdown written to llms-changelog.md and linked from llms.txt, see renderChangelog */
+  changelog?: string;
+  onProgress?: (progress: Progress) => void;
+}
+
+/** The operation, tag or schema a file was generated from */
+export type FileSource =
+  { operationId: string } | { tag: string } | { schema: string };
+
+export interface GeneratedFile {
+  content: string;
+  tokens: number;
+  source?: FileSource;
+  /** For external docs pages, the URL they were fetched from */
+  externalDocs?: string;
+  /** For TypeScript files, the tokens the same file takes as OpenAPI YAML */
+  yamlTokens?: number;
+}
+
+/**
+ * Generated files by path relative to the output directory, such as
+ * `llms.txt`, `operations/{operationId}.yaml` or `tags/{tag}.md`
+ */
+export type GeneratedFiles = {
+  "llms.txt": GeneratedFile;
+  [path: string]: GeneratedFile;
+};
+
+export type WarningCode =
+  "INVALID_SUBSET" | "FILE_NAME_CLASH" | "EXTERNAL_DOCS" | "MERGE_CONFLICT";
+
+export interface GenerateWarning {
+  code: WarningCode;
+  message: string;
+  /** The generated file the warning is about */
+  file?: string;
+  /** The external docs URL the warning is about */
+  url?: string;
+  /** The API of a workspace the warning is about */
+  api?: string;
+}
+
+export interface GenerateResult {
+  files: GeneratedFiles;
+  warnings: GenerateWarning[];
+}
+
+/**
+ * Generate llms.txt and the other files for a document, given as an object
+ * or as JSON or YAML text. `openapiFile` is how llms.txt links to the spec.
+ */
+export function generateLlms(
+  openapi: OpenAPIDocument | string,
+  openapiFile: string,
+  options?: GenerateOptions
+): Promise<GenerateResult>;
+
+/** Like generateLlms, resolving to the files only */
+export function processOpenAPI(
+  openapi: OpenAPIDocument | string,
+  openapiFile: string,
+  options?: GenerateOptions & {
+    onWarning?: (warning: GenerateWarning) => void;
+  }
+): Promise<GeneratedFiles>;
+
+/** Example values of an operation, given by the document or generated */
+export interface OperationExamples {
+  method: string;
+  path: string;
+  /** Values by parameter location (path, query, header, cookie) and name */
+  parameters?: Record<string, Record<string, unknown>>;
+  /** Values by media type */
+  requestBody?: Record<string, unknown>;
+  /** Values by status and media type */
+  responses?: Record<string, Record<string, unknown>>;
+}
+
+/**
+ * Example requests and responses for every operation of a document, keyed
+ * by operationId
+ */
+export function generateExamples(
+  openapi: OpenAPIDocument | string,
+  options?: GenerateOptions
+): Promise<Record<string, OperationExamples>>;
+
+export interface ExampleOptions {
+  /** Names what the example is for; the same key gives the same values */
+  key?: string;
+  /** "request" leaves out read-only properties, "response" write-only ones */
+  direction?: "request" | "response";
+}
+
+/**
+ * Create a function building a deterministic example instance of a schema
+ * of a dereferenced document
+ */
+export function createExampleGenerator(options?: {
+  seed?: number;
+}): (schema: Record<string, any>, options?: ExampleOptions) => unknown;
+
+export type LintSeverity = "info" | "warning" | "error";
+
+export type LintRule =
+  | "operation-id-missing"
+  | "operation-id-duplicate"
+  | "operation-summary-missing"
+  | "operation-description-missing"
+  | "operation-responses-missing"
+  | "parameter-description-missing"
+  | "response-description-missing"
+  | "schema-description-missing"
+  | "ref-unresolved"
+  | "tag-undeclared"
+  | "operation-too-long";
+
+export interface LintOptions {
+  /** Severities by rule, "off" to turn a rule off */
+  rules?: Partial<Record<LintRule, LintSeverity | "off">>;
+  /** Operations longer than this many tokens as markdown are reported; 4000 by default */
+  maxOperationTokens?: number;
+}
+
+export interface LintFinding {
+  rule: LintRule;
+  severity: LintSeverity;
+  message: string;
+  /** Readable location, such as `GET /pets` or `schema Pet` */
+  location: string;
+  /** JSON pointer into the document */
+  pointer: string;
+}
+
+export interface LintResult {
+  findings: LintFinding[];
+  counts: Record<LintSeverity, number>;
+  /** 0-100, the share of checked items without problems */
+  score: number;
+}
+
+/**
+ * Lint a document for how well it will read to an LLM, after bundling and
+ * filtering it like generateLlms does
+ */
+export function lintOpenAPI(
+  openapi: OpenAPIDocument | string,
+  options?: GenerateOptions & { lint?: LintOptions }
+): Promise<LintResult>;
+
+export const LINT_RULES: {
+  readonly [Rule in LintRule]: { severity: LintSeverity; description: string };
+};
+
+/** Plain text report of lint results */
+export function formatLintReport(result: LintResult): string;
+
+/** Lint results as a SARIF 2.1.0 log; `uri` is the linted spec */
+export function toSarif(
+  result: LintResult,
+  options: { uri?: string; version?: string }
+): Record<string, any>;
+
+export interface WorkspaceAPI {
+  /** Directory of the API's files; from its title when not given */
+  name?: string;
+  openapi: OpenAPIDocument | string;
+  /** How the API's llms.txt links to its spec */
+  openapiFile: string;
+  /** Absolute URL of the document, to resolve relative `$ref`s against */
+  baseUrl?: string;
+  /** Options of this API, over the shared ones */
+  options?: GenerateOptions;
+}
+
+export interface WorkspaceOptions extends GenerateOptions {
+  /** Title of the root llms.txt; "APIs" by default */
+  title?: string;
+  description?: string;
+  /** Directory of a merged view of every API, with clashing component names namespaced */
+  merged?: string;
+}
+
+/**
+ * Generate the files of several APIs, each in its own directory, with a
+ * root llms.txt linking to each API's llms.txt
+ */
+export function generateWorkspace(
+  apis: WorkspaceAPI[],
+  options?: WorkspaceOptions
+): Promise<GenerateResult>;
+
+export interface MockRequest {
+  method: string;
+  /** Path and query */
+  url: string;
+  /** Headers with lower case names */
+  headers?: Record<string, string | undefined>;
+  body?: string;
+}
+
+export interface MockResponse {
+  status: number;
+  headers: Record<string, string>;
+  body: string;
+}
+
+/** A problem with a request, by parameter or JSON pointer into the body */
+export interface MockRequestError {
+  in: "path" | "query" | "header" | "cookie" | "body";
+  name?: string;
+  pointer?: string;
+  message: string;
+}
+
+export interface MockLogEntry {
+  id: number;
+  /** ISO 8601 time the request came in */
+  time: string;
+  method: string;
+  path: string;
+  query: Record<string, string | string[]>;
+  headers: Record<string, string | undefined>;
+  /** The body, parsed when it is JSON */
+  body?: unknown;
+  /** The operation the request was routed to, if any */
+  operationId: string | null;
+  status: number;
+  errors?: MockRequestError[];
+}
+
+export interface Mock {
+  /** Number of operations routed */
+  operations: number;
+  /** Answer a request like the API would */
+  handle(request: MockRequest): MockResponse;
+  /** Every request handled, oldest first */
+  requests: MockLogEntry[];
+  clearRequests(): void;
+}
+
+/**
+ * Create a mock of the API a document describes: requests are checked
+ * against its parameters and request bodies and answered with its examples
+ * or generated ones. `Prefer: code=...` and `Prefer: example=...` request
+ * headers pick the status and named example.
+ */
+export function createMock(
+  openapi: OpenAPIDocument,
+  options?: GenerateOptions
+): Promise<Mock>;
+
+export interface DiffOperation {
+  operationId: string;
+  method: string;
+  path: string;
+  summary?: string;
+}
+
+export interface DiffChange {
+  message: string;
+  /** Whether clients written against the old version may break */
+  breaking: boolean;
+}
+
+export interface DiffResult {
+  title?: string;
+  /** `info.version` of the old and the new version */
+  from?: string;
+  to?: string;
+  added: DiffOperation[];
+  removed: DiffOperation[];
+  /** Operations whose operationId changed, by method and path */
+  renamed: { from: string; to: string; method: string; path: string }[];
+  changed: (DiffOperation & { changes: DiffChange[] })[];
+  /** Names of component schemas added and removed */
+  schemas: { added: string[]; removed: string[] };
+  /** Number of breaking changes, removed and renamed operations included */
+  breaking: number;
+}
+
+/**
+ * Compare two versions of a document, each bundled, filtered and
+ * dereferenced like generateLlms does
+ */
+export function diffOpenAPI(
+  previous: OpenAPIDocument | string,
+  openapi: OpenAPIDocument | string,
+  options?: GenerateOptions & { previousBaseUrl?: string }
+): Promise<DiffResult>;
+
+/** Markdown for llms-changelog.md from a comparison */
+export function renderChangelog(diff: DiffResult): string;
+
+export type ErrorCode = "BAD_INPUT" | "UNRESOLVED_REF" | "INVALID_SPEC";
+
+export const ERROR_CODES: { readonly [Code in ErrorCode]: Code };
+
+export class OpenAPIForLLMsError extends Error {
+  constructor(
+    code: ErrorCode,
+    message: string,
+    details?: { cause?: unknown; [key: string]: unknown }
+  );
+  name: "OpenAPIForLLMsError";
+  code: ErrorCode;
+  /** The `$ref` that could not be resolved, for UNRESOLVED_REF */
+  ref?: string;
+  /** The URL of the document it points into, for UNRESOLVED_REF */
+  url?: string;
+}
+
+export interface HandlerOptions extends GenerateOptions {
+  /** Serve this document from the root */
+  spec?: OpenAPIDocument;
+  /** Serve the document at this URL from the root */
+  specUrl?: string;
+  /**
+   * Which URLs may be fetched: specs, the documents they `$ref`, external
+   * docs and redirects. Allows all by default; restrict it when deployed.
+   */
+  allowUrl?: (url: string) => boolean | Promise<boolean>;
+  /** Seconds generated files are cached for; 300 by default */
+  cacheTtl?: number;
+  /** Number of specs whose files are cached; 50 by default */
+  maxSpecs?: number;
+  fetch?: typeof fetch;
+}
+
+export function createHandler(
+  options?: HandlerOptions
+): (request: Request) => Promise<Response>;
+
+export interface DocsCacheEntry {
+  etag?: string | null;
+  lastModified?: string | null;
+  content: string;
+}
+
+export interface DocsCache {
+  get(url: string): Promise<DocsCacheEntry | undefined>;
+  set(url: string, entry: DocsCacheEntry): Promise<void>;
+}
+
+export function createDocsFetcher(options?: {
+  fetch?: typeof fetch;
+  cache?: DocsCache | null;
+  offline?: boolean;
+  concurrency?: number;
+  timeout?: number;
+  retries?: number;
+  retryDelay?: number;
+}): DocsFetcher;
+
+export function createFileCache(dir: string): DocsCache;
+
+export function estimateTokens(text: string): number;
+export function parseBpeRanks(text: string): Map<string, number>;
+export function createBpeCounter(
+  ranks: Map<string, number>
+): (text: string) => number;
+
+export const TOOL_PRESETS: ToolPreset[];
+export const FILE_KINDS: FileKind[];
+export const STYLES: Style[];
+export const CONFIG_DEFAULTS: Required<FilterOptions>;
@@ -0,0 +1,24 @@
+/**
+ * The library entry point. Importing it has no side effects: nothing is
+ * read, written or printed until one of these functions is called. The CLI
+ * lives in cli.js.
+ */
+
+export {
+  diffOpenAPI,
+  generateExamples,
+  generateLlms,
+  generateWorkspace,
+  lintOpenAPI,
+  processOpenAPI,
+} from "./generate.js";
+export { ERROR_CODES, OpenAPIForLLMsError } from "./errors.js";
+export { createHandler } from "./handler.js";
+export { createExampleGenerator } from "./examples.js";
+export { createMock } from "./mock.js";
+export { renderChangelog } from "./diff.js";
+export { LINT_RULES, formatLintReport, toSarif } from "./lint.js";
+export { createDocsFetcher, createFileCache } from "./external-docs.js";
+export { createBpeCounter, estimateTokens, parseBpeRanks } from "./tokens.js";
+export { TOOL_PRESETS } from "./tools.js";
+export { CONFIG_DEFAULTS, FILE_KINDS, STYLES } from "./filter.js";
@@ -0,0 +1,405 @@
+/**
+ * Checks of how well a spec will read to an LLM: what llms.txt and the
+ * generated files have to fall back on or leave out when the spec does not
+ * say it. Findings carry a severity per rule, which options can change,
+ * and add up to a score.
+ */
+
+import { resolveRefSync } from "./deref.js";
+import { renderOperationMarkdown } from "./markdown.js";
+import { collectOperations } from "./operations.js";
+import { estimateTokens } from "./tokens.js";
+
+export const SEVERITIES = ["off", "info", "warning", "error"];
+
+// How much a finding of each severity takes off the score
+const WEIGHTS = { info: 0.1, warning: 0.5, error: 1 };
+
+/**
+ * Rules by id, with their default severity and what they check
+ */
+export const LINT_RULES = {
+  "operation-id-missing": {
+    severity: "error",
+    description:
+      "Operations need an operationId; without one, file names and tool names are made from the path",
+  },
+  "operation-id-duplicate": {
+    severity: "error",
+    description: "operationIds must be unique",
+  },
+  "operation-summary-missing": {
+    severity: "warning",
+    description:
+      "Operations need a summary; llms.txt otherwise shows the method and path, or cuts the description at its first period",
+  },
+  "operation-description-missing": {
+    severity: "info",
+    description: "Operations should have a description",
+  },
+  "operation-responses-missing": {
+    severity: "warning",
+    description: "Operations should document at least one success response",
+  },
+  "parameter-description-missing": {
+    severity: "warning",
+    description: "Parameters need a description",
+  },
+  "response-description-missing": {
+    severity: "warning",
+    description: "Responses need a description",
+  },
+  "schema-description-missing": {
+    severity: "info",
+    description: "Component schemas should have a description",
+  },
+  "ref-unresolved": {
+    severity: "error",
+    description: "Every $ref must point at something",
+  },
+  "tag-undeclared": {
+    severity: "warning",
+    description:
+      "Tags used by operations should be declared in `tags` with a description",
+  },
+  "operation-too-long": {
+    severity: "warning",
+    description:
+      "Operations should fit in an LLM's context; split or simplify those over `maxOperationTokens`",
+  },
+};
+
+export const LINT_DEFAULTS = {
+  rules: {},
+  maxOperationTokens: 4000,
+};
+
+/**
+ * Check lint options (`rules`, severities by rule id, and
+ * `maxOperationTokens`), throwing on the first problem, and fill in the
+ * defaults
+ */
+export function resolveLintConfig(options = {}, source = "lint") {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error(`${source}: must be an object`);
+  }
+  for (const key of Object.keys(options)) {
+    if (!(key in LINT_DEFAULTS)) {
+      throw new Error(`${source}: unknown option "${key}"`);
+    }
+  }
+
+  const rules = options.rules ?? {};
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error(`${source}: \`rules\` must be an object`);
+  }
+  for (const [rule, severity] of Object.entries(rules)) {
+    if (!(rule in LINT_RULES)) {
+      throw new Error(
+        `${source}: unknown rule "${rule}", use one of: ${Object.keys(
+          LINT_RULES
+        ).join(", ")}`
+      );
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(
+        `${source}: rule "${rule}" must be one of: ${SEVERITIES.join(", ")}`
+      );
+    }
+  }
+
+  const maxOperationTokens =
+    options.maxOperationTokens ?? LINT_DEFAULTS.maxOperationTokens;
+  if (!Number.isInteger(maxOperationTokens) || maxOperationTokens <= 0) {
+    throw new Error(
+      `${source}: \`maxOperationTokens\` must be a positive integer`
+    );
+  }
+
+  return { rules, maxOperationTokens };
+}
+
+/**
+ * JSON pointer to a location in the document
+ */
+function pointer(...segments) {
+  return segments
+    .map(
+      (segment) =>
+        `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`
+    )
+    .join("");
+}
+
+/**
+ * Follow `$ref`s of parameters and responses
+ */
+function resolve(value, openapi) {
+  for (let hops = 0; value?.$ref && hops < 10; hops++) {
+    const target = resolveRefSync(openapi, value.$ref);
+    if (!target) return null;
+    value = target;
+  }
+  return value;
+}
+
+/**
+ * Call `visit(ref, pointer)` for every `$ref` in a value
+ */
+function walkRefs(value, path, visit) {
+  if (!value || typeof value !== "object") return;
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => walkRefs(item, `${path}/${i}`, visit));
+    return;
+  }
+  if (typeof value.$ref === "string") visit(value.$ref, path);
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "$ref") continue;
+    walkRefs(child, `${path}${pointer(key)}`, visit);
+  }
+}
+
+/**
+ * Lint a bundled document (see bundle in deref.js) and its dereferenced
+ * form. Returns `{ findings, counts, score }`: each finding is
+ * `{ rule, severity, message, location, pointer }`, where `location` is
+ * readable (`GET /pets`, `schema Pet`) and `pointer` a JSON pointer into
+ * the document; `counts` has the number of findings per severity; `score`
+ * (0-100) is the share of checked items without problems, warnings counting
+ * half and infos a tenth.
+ *
+ * `config` comes from resolveLintConfig. `countTokens` measures operations
+ * as rendered to markdown. `problems` are findings from before linting,
+ * like refs that could not be bundled.
+ */
+export function lintDocument(
+  openapi,
+  dereferenced,
+  config = resolveLintConfig(),
+  { countTokens = estimateTokens, problems = [] } = {}
+) {
+  const findings = [];
+  let checked = 0;
+  const report = (rule, location, path, message) => {
+    const severity = config.rules[rule] ?? LINT_RULES[rule].severity;
+    if (severity === "off") return;
+    findings.push({ rule, severity, message, location, pointer: path });
+  };
+  for (const { rule, location, pointer: path, message } of problems) {
+    checked++;
+    report(rule, location, path, message);
+  }
+
+  // Unresolved local refs; refs to other documents were bundled
+  walkRefs(openapi, "", (ref, path) => {
+    checked++;
+    if (ref.startsWith("#") && resolveRefSync(openapi, ref) === null) {
+      report("ref-unresolved", path, path, `$ref "${ref}" does not resolve`);
+    }
+  });
+
+  const declaredTags = new Set((openapi.tags || []).map((tag) => tag.name));
+  const undeclaredTags = new Set();
+  const operationIds = new Map();
+  const checkedPaths = new Set();
+  const dereferencedOps = collectOperations(dereferenced);
+
+  collectOperations(openapi).forEach((op, i) => {
+    const { path, method, operation, pathItem } = op;
+    const location = `${method.toUpperCase()} ${path}`;
+    const at = pointer("paths", path, method);
+    checked++;
+
+    if (!operation.operationId) {
+      report(
+        "operation-id-missing",
+        location,
+        at,
+        `No operationId; "${op.operationId}" is used`
+      );
+    } else if (operationIds.has(operation.operationId)) {
+      report(
+        "operation-id-duplicate",
+        location,
+        `${at}/operationId`,
+        `operationId "${operation.operationId}" is also used by ${operationIds.get(
+          operation.operationId
+        )}`
+      );
+    } else {
+      operationIds.set(operation.operationId, location);
+    }
+
+    if (!operation.summary?.trim()) {
+      report(
+        "operation-summary-missing",
+        location,
+        at,
+        "No summary; llms.txt falls back to the method and path or the start of the description"
+      );
+    }
+    if (!operation.description?.trim()) {
+      report("operation-description-missing", location, at, "No description");
+    }
+
+    for (const tag of operation.tags || []) {
+      if (declaredTags.has(tag) || undeclaredTags.has(tag)) continue;
+      undeclaredTags.add(tag);
+      checked++;
+      report(
+        "tag-undeclared",
+        `tag ${tag}`,
+        `${at}/tags`,
+        `Tag "${tag}" is used but not declared in \`tags\``
+      );
+    }
+
+    // Parameters of a path item are checked with its first operation
+    const parameterLists = [[`${at}/parameters`, operation.parameters]];
+    if (!checkedPaths.has(path)) {
+      checkedPaths.add(path);
+      parameterLists.unshift([
+        pointer("paths", path, "parameters"),
+        pathItem.parameters,
+      ]);
+    }
+    for (const [source, list] of parameterLists) {
+      (list || []).forEach((entry, index) => {
+        const parameter = resolve(entry, openapi);
+        if (!parameter || typeof parameter !== "object") return;
+        checked++;
+        if (!parameter.description?.trim()) {
+          report(
+            "parameter-description-missing",
+            location,
+            `${source}/${index}`,
+            `${parameter.in} parameter "${parameter.name}" has no description`
+          );
+        }
+      });
+    }
+
+    const responses = Object.entries(operation.responses || {});
+    if (!responses.some(([status]) => /^(2|default)/i.test(status))) {
+      report(
+        "operation-responses-missing",
+        location,
+        `${at}/responses`,
+        "No success response is documented"
+      );
+    }
+    for (const [status, entry] of responses) {
+      const response = resolve(entry, openapi);
+      if (!response) continue;
+      checked++;
+      if (!response.description?.trim()) {
+        report(
+          "response-description-missing",
+          location,
+          `${at}/responses${pointer(status)}`,
+          `Response ${status} has no description`
+        );
+      }
+    }
+
+    const tokens = countTokens(
+      renderOperationMarkdown(dereferencedOps[i], dereferenced)
+    );
+    if (tokens > config.maxOperationTokens) {
+      report(
+        "operation-too-long",
+        location,
+        at,
+        `About ${tokens} tokens as markdown, over the ${config.maxOperationTokens} allowed`
+      );
+    }
+  });
+
+  for (const [name, schema] of Object.entries(
+    openapi.components?.schemas || {}
+  )) {
+    if (!schema || typeof schema !== "object" || schema.$ref) continue;
+    checked++;
+    if (!schema.description?.trim()) {
+      report(
+        "schema-description-missing",
+        `schema ${name}`,
+        pointer("components", "schemas", name),
+        "No description"
+      );
+    }
+  }
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  let penalty = 0;
+  for (const { severity } of findings) {
+    counts[severity]++;
+    penalty += WEIGHTS[severity];
+  }
+  const score =
+    checked === 0 ? 100 : Math.round(100 * Math.max(0, 1 - penalty / checked));
+
+  return { findings, counts, score };
+}
+
+/**
+ * Render lint results as a plain text report, one finding per line
+ */
+export function formatLintReport({ findings, counts, score }) {
+  const lines = findings.map(
+    ({ severity, location, message, rule }) =>
+      `${severity.padEnd(8)}${location}: ${message} (${rule})`
+  );
+  const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+  lines.push(
+    `${lines.length > 0 ? "\n" : ""}${plural(counts.error, "error")}, ${plural(
+      counts.warning,
+      "warning"
+    )}, ${plural(counts.info, "info")}. Score: ${score}/100`
+  );
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Convert lint results to a SARIF 2.1.0 log, for code review tools. `uri`
+ * is the spec the results are about.
+ */
+export function toSarif({ findings }, { uri, version }) {
+  const levels = { error: "error", warning: "warning", info: "note" };
+  const ruleIds = Object.keys(LINT_RULES);
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "openapi-for-llms",
+            ...(version && { version }),
+            rules: ruleIds.map((id) => ({
+              id,
+              shortDescription: { text: LINT_RULES[id].description },
+              defaultConfiguration: {
+                level: levels[LINT_RULES[id].severity],
+              },
+            })),
+          },
+        },
+        results: findings.map((finding) => ({
+          ruleId: finding.rule,
+          ruleIndex: ruleIds.indexOf(finding.rule),
+          level: levels[finding.severity],
+          message: { text: `${finding.location}: ${finding.message}` },
+          locations: [
+            {
+              ...(uri && {
+                physicalLocation: { artifactLocation: { uri } },
+              }),
+              logicalLocations: [{ fullyQualifiedName: finding.pointer }],
+            },
+          ],
+        })),
+      },
+    ],
+  };
+}
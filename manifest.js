@@ -0,0 +1,166 @@
+/**
+ * The output manifest, `llms-manifest.json`: which files a run generated,
+ * so the next run can skip unchanged files and remove stale ones without
+ * touching anything else in the output directory.
+ */
+
+import { createHash } from "crypto";
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  rmdirSync,
+  unlinkSync,
+  writeFileSync,
+} from "fs";
+import { dirname, isAbsolute, relative, resolve } from "path";
+
+export const MANIFEST_FILE = "llms-manifest.json";
+
+/**
+ * Whether `dir` lies inside `root` (and is not `root` itself)
+ */
+function isInside(root, dir) {
+  const path = relative(root, dir);
+  return path !== "" && !path.startsWith("..") && !isAbsolute(path);
+}
+
+/**
+ * Resolve a generated file path against the output directory, refusing
+ * paths that would end up outside it
+ */
+function resolveInside(outDir, path) {
+  const fullPath = resolve(outDir, path);
+  if (!isInside(resolve(outDir), fullPath)) {
+    throw new Error(`Refusing to write outside the output directory: ${path}`);
+  }
+  return fullPath;
+}
+
+/**
+ * SHA-256 of file content, hex encoded
+ */
+function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Build the manifest for generated files: each path with its content hash
+ * and the operation or tag it was generated from
+ */
+export function createManifest(files) {
+  const entries = {};
+  for (const path of Object.keys(files).sort()) {
+    entries[path] = {
+      sha256: hashContent(files[path].content),
+      ...files[path].source,
+    };
+  }
+  return { generator: "openapi-for-llms", files: entries };
+}
+
+/**
+ * Read the manifest of a previous run, or null if there is none
+ */
+export function readManifest(outDir) {
+  const path = resolve(outDir, MANIFEST_FILE);
+  if (!existsSync(path)) return null;
+
+  try {
+    const manifest = JSON.parse(readFileSync(path, "utf8"));
+    return manifest && typeof manifest.files === "object" ? manifest : null;
+  } catch {
+    console.warn(`Ignoring unreadable ${MANIFEST_FILE} in ${outDir}`);
+    return null;
+  }
+}
+
+/**
+ * Compare generated files with what is on disk. Returns the paths to
+ * `write` (new or changed), those `unchanged`, and those to `remove`: files
+ * the previous manifest lists that are no longer generated. Files the
+ * previous manifest does not list are never removed; `overwrite` lists those
+ * among `write` that are already on disk all the same.
+ */
+export function planOutput(outDir, files) {
+  const previous = readManifest(outDir);
+  const manifest = createManifest(files);
+  const manifestContent = JSON.stringify(manifest, null, 2) + "\n";
+
+  const plan = {
+    write: [],
+    unchanged: [],
+    remove: [],
+    overwrite: [],
+    manifestContent,
+  };
+
+  const onDisk = (path) => {
+    const fullPath = resolveInside(outDir, path);
+    return existsSync(fullPath) ? readFileSync(fullPath, "utf8") : null;
+  };
+
+  for (const [path, file] of Object.entries(files)) {
+    const content = onDisk(path);
+    if (content === file.content) {
+      plan.unchanged.push(path);
+    } else {
+      plan.write.push(path);
+      if (content !== null && !Object.hasOwn(previous?.files || {}, path)) {
+        plan.overwrite.push(path);
+      }
+    }
+  }
+
+  for (const path of Object.keys(previous?.files || {})) {
+    const fullPath = resolve(outDir, path);
+    if (
+      !files[path] &&
+      isInside(resolve(outDir), fullPath) &&
+      existsSync(fullPath)
+    ) {
+      plan.remove.push(path);
+    }
+  }
+
+  plan.manifestChanged = onDisk(MANIFEST_FILE) !== manifestContent;
+  return plan;
+}
+
+/**
+ * Remove a file, then its parent directories up to `outDir` while they
+ * are empty
+ */
+function removeFile(outDir, path) {
+  const root = resolve(outDir);
+  const fullPath = resolve(root, path);
+  unlinkSync(fullPath);
+
+  for (let dir = dirname(fullPath); isInside(root, dir);) {
+    if (readdirSync(dir).length > 0) break;
+    rmdirSync(dir);
+    dir = dirname(dir);
+  }
+}
+
+/**
+ * Carry out a plan from planOutput: write new and changed files, remove
+ * stale ones and update the manifest
+ */
+export function applyOutput(outDir, files, plan) {
+  for (const path of plan.write) {
+    const fullPath = resolveInside(outDir, path);
+    mkdirSync(dirname(fullPath), { recursive: true });
+    writeFileSync(fullPath, files[path].content, "utf8");
+  }
+
+  for (const path of plan.remove) {
+    removeFile(outDir, path);
+  }
+
+  if (plan.manifestChanged) {
+    mkdirSync(outDir, { recursive: true });
+    writeFileSync(resolve(outDir, MANIFEST_FILE), plan.manifestContent);
+  }
+}
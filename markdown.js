@@ -0,0 +1,511 @@
+/**
+ * Markdown rendering of operations and schemas, for context files that
+ * spend tokens on content rather than OpenAPI structure.
+ */
+
+import { resolveRefSync } from "./deref.js";
+import { exampleKey } from "./examples.js";
+import { operationParameters, operationServers } from "./operations.js";
+
+const MAX_DEPTH = 8;
+
+/**
+ * Escape a value for use inside a markdown table cell
+ */
+function cell(value) {
+  if (value === undefined || value === null || value === "") return "";
+  return String(value)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Name of a schema left as `$ref` by dereferencing (circular references)
+ */
+function refName(ref) {
+  return ref.split("/").pop().replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Name of a referenced schema, as a markdown link when `link(ref)` gives
+ * the URL of a file documenting it
+ */
+function refLabel(ref, link) {
+  const url = link?.(ref);
+  return url ? `[${refName(ref)}](${url})` : refName(ref);
+}
+
+/**
+ * A type label as inline code, unless it holds links
+ */
+function code(type) {
+  return type.includes("](") ? type : `\`${type}\``;
+}
+
+/**
+ * Follow `$ref`s of parameters, bodies, responses and examples, which are
+ * always shown inline. Schema refs are left alone and shown by name.
+ */
+function resolve(value, openapi) {
+  for (let hops = 0; value?.$ref && hops < 10; hops++) {
+    const target = resolveRefSync(openapi, value.$ref);
+    if (!target) break;
+    value = target;
+  }
+  return value;
+}
+
+/**
+ * Refs of the schemas an `allOf` extends
+ */
+function allOfRefs(schema) {
+  if (!Array.isArray(schema.allOf)) return [];
+
+  return schema.allOf.flatMap((part) => {
+    if (!part || typeof part !== "object") return [];
+    return part.$ref ? [part.$ref] : allOfRefs(part);
+  });
+}
+
+/**
+ * Merge `allOf` members into one object schema
+ */
+function mergeAllOf(schema) {
+  if (!Array.isArray(schema.allOf)) return schema;
+
+  const { allOf, ...rest } = schema;
+  const merged = { ...rest, properties: { ...rest.properties } };
+  const required = new Set(rest.required || []);
+
+  for (const part of allOf) {
+    if (!part || typeof part !== "object" || part.$ref) continue;
+    const member = mergeAllOf(part);
+    if (member.type && !merged.type) merged.type = member.type;
+    if (member.description && !merged.description) {
+      merged.description = member.description;
+    }
+    Object.assign(merged.properties, member.properties);
+    for (const name of member.required || []) required.add(name);
+  }
+
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  if (required.size > 0) merged.required = [...required];
+  return merged;
+}
+
+/**
+ * Short type label for a schema, e.g. `string (uuid)` or `array of Pet`.
+ * Referenced schemas are linked with `link` (see refLabel).
+ */
+function describeType(schema, link) {
+  if (!schema || typeof schema !== "object") return "any";
+  if (schema.$ref) return refLabel(schema.$ref, link);
+
+  schema = mergeAllOf(schema);
+
+  if (schema.oneOf || schema.anyOf) {
+    return (schema.oneOf || schema.anyOf)
+      .map((variant) => describeType(variant, link))
+      .join(" | ");
+  }
+
+  // OpenAPI 3.1 allows a list of types, e.g. ["string", "null"]
+  const types = Array.isArray(schema.type)
+    ? schema.type
+    : [schema.type || (schema.properties ? "object" : "any")];
+  if (schema.nullable && !types.includes("null")) types.push("null");
+
+  return types
+    .map((type) => {
+      if (type === "array") {
+        return `array of ${describeType(schema.items, link)}`;
+      }
+      if (schema.format && type !== "null") return `${type} (${schema.format})`;
+      return type;
+    })
+    .join(" | ");
+}
+
+/**
+ * Constraints worth mentioning next to a field
+ */
+function describeConstraints(schema) {
+  const notes = [];
+  if (Array.isArray(schema.enum)) {
+    notes.push(
+      `one of: ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`
+    );
+  }
+  if (schema.const !== undefined) {
+    notes.push(`always ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.default !== undefined) {
+    notes.push(`default: ${JSON.stringify(schema.default)}`);
+  }
+  if (schema.minimum !== undefined) notes.push(`min: ${schema.minimum}`);
+  if (schema.maximum !== undefined) notes.push(`max: ${schema.maximum}`);
+  if (schema.minLength !== undefined)
+    notes.push(`min length: ${schema.minLength}`);
+  if (schema.maxLength !== undefined)
+    notes.push(`max length: ${schema.maxLength}`);
+  if (schema.pattern) notes.push(`pattern: \`${schema.pattern}\``);
+  if (schema.readOnly) notes.push("read-only");
+  if (schema.writeOnly) notes.push("write-only");
+  if (schema.deprecated) notes.push("deprecated");
+  return notes;
+}
+
+/**
+ * Child schema whose fields should be listed below a field, if any
+ */
+function nestedSchema(schema) {
+  if (!schema || typeof schema !== "object" || schema.$ref) return null;
+  const merged = mergeAllOf(schema);
+  if (merged.properties || merged.oneOf || merged.anyOf) return schema;
+  if (allOfRefs(schema).length > 0) return schema;
+  const types = [].concat(merged.type);
+  if (types.includes("array")) return nestedSchema(merged.items);
+  return null;
+}
+
+/**
+ * Render the fields of a schema as a nested markdown list
+ */
+function renderFields(schema, link, indent = "", stack = []) {
+  if (!schema || typeof schema !== "object" || schema.$ref) return [];
+  if (stack.includes(schema) || stack.length >= MAX_DEPTH) return [];
+
+  const merged = mergeAllOf(schema);
+  const lines = [];
+  const nextStack = [...stack, schema];
+
+  const variants = merged.oneOf || merged.anyOf;
+  if (variants) {
+    const label = merged.oneOf ? "one of" : "any of";
+    lines.push(`${indent}- ${label}:`);
+    for (const variant of variants) {
+      let line = `${indent}  - ${describeType(variant, link)}`;
+      if (variant?.description) line += `: ${cell(variant.description)}`;
+      lines.push(line);
+      const nested = nestedSchema(variant);
+      if (nested)
+        lines.push(...renderFields(nested, link, `${indent}    `, nextStack));
+    }
+  }
+
+  for (const ref of allOfRefs(schema)) {
+    lines.push(`${indent}- all fields of ${code(refLabel(ref, link))}`);
+  }
+
+  const required = new Set(merged.required || []);
+  for (const [name, property] of Object.entries(merged.properties || {})) {
+    const details = [describeType(property, link)];
+    if (required.has(name)) details.push("required");
+    if (property && typeof property === "object") {
+      details.push(...describeConstraints(property));
+    }
+
+    let line = `${indent}- \`${name}\` (${details.join(", ")})`;
+    if (property?.description) line += `: ${cell(property.description)}`;
+    lines.push(line);
+
+    const nested = nestedSchema(property);
+    if (nested) {
+      lines.push(...renderFields(nested, link, `${indent}  `, nextStack));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Render a body schema: its type, then its fields. Referenced schemas are
+ * linked with `link` (see refLabel).
+ */
+function renderSchema(schema, link) {
+  const lines = [`Type: ${code(describeType(schema, link))}`];
+  const constraints =
+    schema && typeof schema === "object" ? describeConstraints(schema) : [];
+  if (constraints.length > 0) lines[0] += ` (${constraints.join(", ")})`;
+
+  const nested = nestedSchema(schema);
+  if (nested) lines.push("", ...renderFields(nested, link));
+  return lines;
+}
+
+/**
+ * Render the examples of a media type or parameter as code blocks. Without
+ * any, one is generated from its schema by `generate(schema)` if given.
+ */
+function renderExamples(target, openapi, generate) {
+  const examples = [];
+  if (target.example !== undefined) examples.push([null, target.example]);
+  for (const [name, entry] of Object.entries(target.examples || {})) {
+    const example = resolve(entry, openapi);
+    if (example && example.value !== undefined) {
+      examples.push([example.summary || name, example.value]);
+    }
+  }
+  if (examples.length === 0 && generate && target.schema) {
+    const value = generate(target.schema);
+    if (value !== null) examples.push(["generated", value]);
+  }
+
+  const lines = [];
+  for (const [name, value] of examples) {
+    lines.push("", name ? `Example (${name}):` : "Example:", "");
+    if (typeof value === "string") {
+      lines.push("```", value, "```");
+    } else {
+      lines.push("```json", JSON.stringify(value, null, 2), "```");
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render each media type of a request body or response. `generate(schema,
+ * mediaType)` builds examples for media types without one, and `link`
+ * links referenced schemas.
+ */
+function renderContent(content, openapi, generate, link) {
+  const lines = [];
+  for (const [mediaType, media] of Object.entries(content || {})) {
+    lines.push("", `Content type: \`${mediaType}\``);
+    if (media?.schema?.description) {
+      lines.push("", media.schema.description.trim());
+    }
+    if (media?.schema) lines.push("", ...renderSchema(media.schema, link));
+    if (media) {
+      lines.push(
+        ...renderExamples(
+          media,
+          openapi,
+          generate && ((schema) => generate(schema, mediaType))
+        )
+      );
+    }
+  }
+  return lines;
+}
+
+/**
+ * Describe one security scheme by name
+ */
+function describeSecurityScheme(name, scopes, schemes) {
+  const scheme = schemes?.[name];
+  let text = `\`${name}\``;
+  if (!scheme) return text;
+
+  if (scheme.type === "apiKey") {
+    text += ` (API key in ${scheme.in} \`${scheme.name}\`)`;
+  } else if (scheme.type === "http") {
+    text += ` (HTTP ${scheme.scheme}${
+      scheme.bearerFormat ? `, ${scheme.bearerFormat}` : ""
+    })`;
+  } else if (scheme.type) {
+    text += ` (${scheme.type})`;
+  }
+  if (scopes?.length > 0) text += ` with scopes ${scopes.join(", ")}`;
+  return text;
+}
+
+/**
+ * Render an operation as markdown
+ *
+ * `openapi` provides the document-wide security, the security schemes and
+ * the targets of any `$ref`s left in `operation`. Refs to schemas are shown
+ * by name, so pass a dereferenced operation to have them expanded. `level` is
+ * the heading level of the operation title. Parameters and servers of
+ * `pathItem` apply to the operation too. Webhooks (OpenAPI 3.1) are marked by
+ * `webhook`, their name. `codeSamples` (see generateCodeSamples in
+ * samples.js) are added at the end. With `generateExample` (see
+ * createExampleGenerator in examples.js), bodies without examples get a
+ * generated one. `schemaLink(ref)` gives the URL of a file documenting a
+ * schema shown by name, to link it.
+ */
+export function renderOperationMarkdown(
+  { method, path, operation, operationId, webhook, pathItem },
+  openapi,
+  level = 1,
+  { codeSamples = [], generateExample, schemaLink } = {}
+) {
+  const h = (offset) => "#".repeat(level + offset);
+  const lines = [
+    webhook
+      ? `${h(0)} Webhook ${webhook} (${method.toUpperCase()})`
+      : `${h(0)} ${method.toUpperCase()} ${path}`,
+  ];
+
+  if (operation.summary) lines.push("", `**${operation.summary}**`);
+  if (operation.deprecated) lines.push("", "> Deprecated");
+  if (operation.description) lines.push("", operation.description.trim());
+  if (webhook) {
+    lines.push(
+      "",
+      "Sent by the API to your server. The request body is what you receive; the responses are what you may reply with."
+    );
+  }
+
+  const meta = [];
+  if (operationId) meta.push(`Operation ID: \`${operationId}\``);
+  if (operation.tags?.length) meta.push(`Tags: ${operation.tags.join(", ")}`);
+  const servers = operationServers({ operation, pathItem }, openapi);
+  if (servers.length > 0 && servers !== openapi.servers) {
+    meta.push(`Base URL: ${servers[0].url}`);
+  }
+  if (meta.length > 0) lines.push("", meta.join(" · "));
+
+  const parameters = operationParameters({ operation, pathItem }, (parameter) =>
+    resolve(parameter, openapi)
+  );
+  if (parameters.length > 0) {
+    lines.push(
+      "",
+      `${h(1)} Parameters`,
+      "",
+      "| In | Name | Type | Required | Description |",
+      "| --- | --- | --- | --- | --- |"
+    );
+    for (const parameter of parameters) {
+      const schema =
+        parameter.schema || Object.values(parameter.content || {})[0]?.schema;
+      const notes = schema ? describeConstraints(schema) : [];
+      const description = [parameter.description, ...notes]
+        .filter(Boolean)
+        .join("; ");
+      lines.push(
+        `| ${cell(parameter.in)} | \`${cell(parameter.name)}\` | ${cell(
+          describeType(schema, schemaLink)
+        )} | ${parameter.required ? "yes" : "no"} | ${cell(description)} |`
+      );
+    }
+  }
+
+  const body = resolve(operation.requestBody, openapi);
+  if (body && typeof body === "object") {
+    lines.push("", `${h(1)} Request Body`);
+    if (body.required) lines.push("", "Required.");
+    if (body.description) lines.push("", body.description.trim());
+    lines.push(
+      ...renderContent(
+        body.content,
+        openapi,
+        generateExample &&
+          ((schema, mediaType) =>
+            generateExample(schema, {
+              key: exampleKey(operationId ?? webhook, "request", mediaType),
+              direction: "request",
+            })),
+        schemaLink
+      )
+    );
+  }
+
+  const responses = Object.entries(operation.responses || {});
+  if (responses.length > 0) {
+    lines.push("", `${h(1)} Responses`);
+    for (const [status, entry] of responses) {
+      const response = resolve(entry, openapi);
+      if (!response || typeof response !== "object") continue;
+      lines.push("", `${h(2)} ${status}`);
+      if (response.description) lines.push("", response.description.trim());
+      lines.push(
+        ...renderContent(
+          response.content,
+          openapi,
+          generateExample &&
+            ((schema, mediaType) =>
+              generateExample(schema, {
+                key: exampleKey(
+                  operationId ?? webhook,
+                  "response",
+                  status,
+                  mediaType
+                ),
+                direction: "response",
+              })),
+          schemaLink
+        )
+      );
+    }
+  }
+
+  const security = operation.security ?? openapi.security;
+  if (Array.isArray(security)) {
+    lines.push("", `${h(1)} Security`, "");
+    const schemes = openapi.components?.securitySchemes;
+    const requirements = security.filter(
+      (requirement) => Object.keys(requirement || {}).length > 0
+    );
+    if (requirements.length === 0 || requirements.length < security.length) {
+      lines.push("- None (no authentication required)");
+    }
+    for (const requirement of requirements) {
+      lines.push(
+        `- ${Object.entries(requirement)
+          .map(([name, scopes]) =>
+            describeSecurityScheme(name, scopes, schemes)
+          )
+          .join(" and ")}`
+      );
+    }
+  }
+
+  if (codeSamples.length > 0) {
+    lines.push("", `${h(1)} Code Samples`);
+    for (const sample of codeSamples) {
+      lines.push(
+        "",
+        `${sample.title}:`,
+        "",
+        "```" + sample.fence,
+        sample.source,
+        "```"
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render all operations of a tag as one markdown document. `options` are
+ * those of renderOperationMarkdown.
+ */
+export function renderTagMarkdown(
+  tag,
+  tagData,
+  operations,
+  openapi,
+  options = {}
+) {
+  const lines = [`# ${tag}`];
+  if (tagData?.description) lines.push("", tagData.description.trim());
+
+  for (const operation of operations) {
+    lines.push(
+      "",
+      renderOperationMarkdown(operation, openapi, 2, options).trimEnd()
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a named schema, for schema appendices and files where operations
+ * show shared schemas by name. `schemaLink(ref)` links the schemas it
+ * refers to.
+ */
+export function renderSchemaMarkdown(
+  name,
+  schema,
+  level = 3,
+  { schemaLink } = {}
+) {
+  const lines = [`${"#".repeat(level)} ${name}`];
+  if (schema?.description) lines.push("", schema.description.trim());
+  lines.push("", ...renderSchema(schema, schemaLink));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,318 @@
+/**
+ * Model Context Protocol server over stdio, exposing the generated context
+ * as tools and resources so agents fetch only what they need.
+ */
+
+import { createInterface } from "readline";
+import { bundle } from "./deref.js";
+import { filterOpenAPI, resolveConfig } from "./filter.js";
+import { processOpenAPI } from "./generate.js";
+import { renderSchemaMarkdown } from "./markdown.js";
+import { normalizeOpenAPI } from "./normalize.js";
+import { collectOperations } from "./operations.js";
+
+const PROTOCOL_VERSION = "2024-11-05";
+const RESOURCE_PREFIX = "openapi-for-llms:///";
+
+const MIME_TYPES = {
+  md: "text/markdown",
+  txt: "text/plain",
+  yaml: "application/yaml",
+  yml: "application/yaml",
+  json: "application/json",
+  ts: "application/typescript",
+};
+
+const TOOLS = [
+  {
+    name: "list_tags",
+    description:
+      "List the tags (groups of operations) of the API with their descriptions and operation counts.",
+    inputSchema: { type: "object", properties: {} },
+  },
+  {
+    name: "search_operations",
+    description:
+      "Search operations by keywords matched against operationId, method, path, summary, description and tags.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Keywords to search for" },
+        tag: { type: "string", description: "Only search within this tag" },
+        limit: {
+          type: "integer",
+          description: "Maximum number of results (default 20)",
+        },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "get_operation",
+    description:
+      "Get the full documentation of one operation: parameters, request body, responses and security.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operationId: { type: "string" },
+        format: {
+          type: "string",
+          enum: ["markdown", "yaml", "typescript"],
+          description:
+            "markdown (default), the OpenAPI YAML subset, or TypeScript declarations if the server generates them",
+        },
+      },
+      required: ["operationId"],
+    },
+  },
+  {
+    name: "get_schema",
+    description:
+      "Get the fields of a schema from components.schemas by name, with the schemas it refers to and the operations using it.",
+    inputSchema: {
+      type: "object",
+      properties: { name: { type: "string" } },
+      required: ["name"],
+    },
+  },
+];
+
+/**
+ * Tool result holding one text block
+ */
+function textResult(text, isError = false) {
+  return { content: [{ type: "text", text }], ...(isError && { isError }) };
+}
+
+/**
+ * Create a server for an OpenAPI document. Returns `handle`, which takes one
+ * JSON-RPC message and resolves to the response, or null for notifications.
+ *
+ * `options` are passed on to processOpenAPI, and its filtering options
+ * apply to the tools too.
+ */
+export async function createMcpServer(
+  openapi,
+  openapiFile,
+  { version = "0.0.0", ...options } = {}
+) {
+  const config = resolveConfig(options);
+  const bundled = filterOpenAPI(
+    normalizeOpenAPI(await bundle(openapi, options)),
+    config
+  );
+  const { untaggedTitle } = config;
+  const files = await processOpenAPI(bundled, openapiFile, options);
+  const operations = collectOperations(bundled);
+
+  const tools = {
+    list_tags() {
+      const declared = new Map(
+        (bundled.tags || []).map((tag) => [tag.name, tag])
+      );
+      const counts = new Map();
+      for (const op of operations) {
+        for (const tag of op.tags.length > 0 ? op.tags : [untaggedTitle]) {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+      }
+
+      const lines = [...counts].map(([tag, count]) => {
+        const description = declared.get(tag)?.description;
+        return `- ${tag} (${count} operation${count === 1 ? "" : "s"})${
+          description ? `: ${description.split("\n")[0]}` : ""
+        }`;
+      });
+      return textResult(lines.join("\n") || "No operations.");
+    },
+
+    search_operations({ query = "", tag, limit = 20 }) {
+      const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+      const results = operations
+        .filter(
+          (op) =>
+            !tag ||
+            op.tags.includes(tag) ||
+            (tag === untaggedTitle && op.tags.length === 0)
+        )
+        .map((op) => {
+          const haystack = [
+            op.operationId,
+            op.method,
+            op.path,
+            op.operation.summary,
+            op.operation.description,
+            ...op.tags,
+          ]
+            .filter(Boolean)
+            .join(" ")
+            .toLowerCase();
+          const score = terms.filter((term) => haystack.includes(term)).length;
+          return { op, score };
+        })
+        .filter(({ score }) => terms.length === 0 || score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      if (results.length === 0) return textResult("No matching operations.");
+      return textResult(
+        results
+          .map(
+            ({ op }) =>
+              `- ${op.operationId}: ${op.method.toUpperCase()} ${op.path}${
+                op.operation.summary ? ` - ${op.operation.summary}` : ""
+              }`
+          )
+          .join("\n")
+      );
+    },
+
+    get_operation({ operationId, format = "markdown" }) {
+      const extension = { yaml: "yaml", typescript: "ts" }[format] || "md";
+      const op = operations.find((op) => op.operationId === operationId);
+      if (!op) {
+        return textResult(
+          `Unknown operationId "${operationId}". Use search_operations to find one.`,
+          true
+        );
+      }
+      const file = files[`operations/${op.fileName}.${extension}`];
+      if (!file) {
+        return textResult(
+          `No ${format} file was generated for "${operationId}".`,
+          true
+        );
+      }
+      return textResult(file.content);
+    },
+
+    get_schema({ name }) {
+      const schema = bundled.components?.schemas?.[name];
+      if (!schema) {
+        const names = Object.keys(bundled.components?.schemas || {});
+        return textResult(
+          `Unknown schema "${name}". Available schemas: ${
+            names.join(", ") || "none"
+          }`,
+          true
+        );
+      }
+      const file = Object.entries(files).find(
+        ([path, file]) => path.endsWith(".md") && file.source?.schema === name
+      )?.[1];
+      return textResult(file?.content ?? renderSchemaMarkdown(name, schema, 1));
+    },
+  };
+
+  const methods = {
+    initialize: () => ({
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: { tools: {}, resources: {} },
+      serverInfo: { name: "openapi-for-llms", version },
+    }),
+    ping: () => ({}),
+    "tools/list": () => ({ tools: TOOLS }),
+    "tools/call": ({ name, arguments: args = {} }) => {
+      if (!Object.hasOwn(tools, name)) {
+        throw rpcError(-32602, `Unknown tool: ${name}`);
+      }
+      return tools[name](args);
+    },
+    "resources/list": () => ({
+      resources: Object.entries(files).map(([path, file]) => ({
+        uri: `${RESOURCE_PREFIX}${path}`,
+        name: path,
+        mimeType: MIME_TYPES[path.split(".").pop()] || "text/plain",
+        ...(file.tokens !== undefined && {
+          description: `~${file.tokens} tokens`,
+        }),
+      })),
+    }),
+    "resources/read": ({ uri }) => {
+      const path = String(uri).startsWith(RESOURCE_PREFIX)
+        ? uri.slice(RESOURCE_PREFIX.length)
+        : null;
+      if (!path || !Object.hasOwn(files, path)) {
+        throw rpcError(-32002, `Resource not found: ${uri}`);
+      }
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: MIME_TYPES[path.split(".").pop()] || "text/plain",
+            text: files[path].content,
+          },
+        ],
+      };
+    },
+  };
+
+  const handle = async (message) => {
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      return {
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: -32600, message: "Invalid Request" },
+      };
+    }
+    const { id, method, params } = message;
+    const isNotification = id === undefined || id === null;
+
+    try {
+      if (!Object.hasOwn(methods, method)) {
+        if (isNotification) return null;
+        throw rpcError(-32601, `Method not found: ${method}`);
+      }
+      const result = await methods[method](params || {});
+      return isNotification ? null : { jsonrpc: "2.0", id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      return {
+        jsonrpc: "2.0",
+        id,
+        error: { code: error.code || -32603, message: error.message },
+      };
+    }
+  };
+
+  return { handle, files };
+}
+
+/**
+ * JSON-RPC error with a code
+ */
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Serve newline-delimited JSON-RPC messages from `input`, writing responses
+ * to `output`. Resolves when input ends.
+ */
+export async function runMcpServer(
+  server,
+  { input = process.stdin, output = process.stdout } = {}
+) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      output.write(
+        JSON.stringify({
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: -32700, message: "Parse error" },
+        }) + "\n"
+      );
+      continue;
+    }
+
+    const response = await server.handle(message);
+    if (response) output.write(JSON.stringify(response) + "\n");
+  }
+}
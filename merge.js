@@ -0,0 +1,313 @@
+/**
+ * Merge the documents of several APIs into one, for a workspace's combined
+ * view. Components and operationIds that more than one API defines
+ * differently are namespaced with the API's name, so every operation's
+ * subset still holds exactly what it refers to.
+ */
+
+import { klona } from "./deref.js";
+import { METHODS } from "./operations.js";
+import { buildRefGraph, closeRefs, collectRefs, componentRef } from "./refs.js";
+
+/**
+ * Name of a component or operationId within the namespace of an API
+ */
+function namespaced(namespace, name) {
+  return `${namespace}_${name}`;
+}
+
+/**
+ * Replace `$ref`s to renamed components, `renames` mapping the ref of a
+ * component to its new ref. Refs into a component keep the rest of their
+ * pointer.
+ */
+function renameRefs(value, renames) {
+  if (!value || typeof value !== "object") return;
+  if (Array.isArray(value)) {
+    value.forEach((item) => renameRefs(item, renames));
+    return;
+  }
+  if (typeof value.$ref === "string") {
+    const [, base, rest = ""] =
+      /^(#\/components\/[^/]+\/[^/]+)(\/.*)?$/.exec(value.$ref) || [];
+    if (renames.has(base)) value.$ref = `${renames.get(base)}${rest}`;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    if (key !== "$ref") renameRefs(child, renames);
+  }
+}
+
+/**
+ * Refs of the components that operations refer to, directly or through
+ * other components, security schemes included
+ */
+function usedComponents(operations, graph) {
+  const refs = new Set();
+  for (const ref of collectRefs(operations)) {
+    const [, base] = /^(#\/components\/[^/]+\/[^/]+)/.exec(ref) || [];
+    if (base) refs.add(base);
+  }
+  const used = closeRefs(refs, graph);
+  for (const operation of operations) {
+    for (const requirement of operation.security || []) {
+      for (const scheme of Object.keys(requirement)) {
+        used.add(componentRef("securitySchemes", scheme));
+      }
+    }
+  }
+  return used;
+}
+
+/**
+ * Rename the schemes of security requirements
+ */
+function renameSchemes(requirements, names) {
+  return requirements?.map((requirement) =>
+    Object.fromEntries(
+      Object.entries(requirement).map(([scheme, scopes]) => [
+        names.get(scheme) ?? scheme,
+        scopes,
+      ])
+    )
+  );
+}
+
+/**
+ * Move what a document and its path items say for all their operations
+ * (servers, security, path-level parameters) onto each operation, so an
+ * operation means the same wherever it ends up. Untagged operations are
+ * tagged with `tag`, and security schemes are renamed by `schemeNames`.
+ */
+function settleOperations(openapi, tag, schemeNames) {
+  for (const pathItems of [openapi.paths, openapi.webhooks]) {
+    for (const pathItem of Object.values(pathItems || {})) {
+      if (!pathItem || typeof pathItem !== "object") continue;
+      for (const method of METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const own = new Set(
+          (operation.parameters || []).map((p) => p.$ref || `${p.in}:${p.name}`)
+        );
+        const shared = (pathItem.parameters || []).filter(
+          (p) => !own.has(p.$ref || `${p.in}:${p.name}`)
+        );
+        if (shared.length > 0) {
+          operation.parameters = [...shared, ...(operation.parameters || [])];
+        }
+
+        const servers = operation.servers?.length
+          ? operation.servers
+          : pathItem.servers?.length
+            ? pathItem.servers
+            : openapi.servers;
+        if (servers?.length) operation.servers = servers;
+        const security = operation.security ?? openapi.security;
+        if (security) operation.security = renameSchemes(security, schemeNames);
+        if (!operation.tags?.length) operation.tags = [tag];
+      }
+      delete pathItem.parameters;
+      delete pathItem.servers;
+    }
+  }
+}
+
+/**
+ * Merge `apis`, each `{ name, openapi }` with a bundled OpenAPI 3 document
+ * (see bundle in deref.js and normalizeOpenAPI in normalize.js), into one
+ * document titled `title`. Returns `{ openapi, renamed, conflicts }`:
+ * `renamed` lists `{ api, kind, from, to }` for each namespaced component
+ * or operationId, and `conflicts` the operations left out because another
+ * API has one with the same method and path, as `{ api, method, path,
+ * with }`.
+ *
+ * Components defined the same by several APIs are kept once, and those only
+ * left out operations use are left out too. Each API's
+ * untagged operations are tagged with its title.
+ */
+export function mergeDocuments(apis, { title = "APIs", description } = {}) {
+  const documents = apis.map(({ name, openapi }) => ({
+    name,
+    openapi: klona(openapi),
+  }));
+  const renamed = [];
+  const conflicts = [];
+
+  // Component refs each API renames, to their new ref and name, grown until
+  // no two APIs define a name differently: renaming one component can make
+  // those referring to it differ too
+  const renames = documents.map(() => new Map());
+  const newNames = documents.map(() => new Map());
+  const definition = (i, type, name) => {
+    const component = klona(documents[i].openapi.components[type][name]);
+    renameRefs(component, renames[i]);
+    return JSON.stringify(component);
+  };
+  for (let changed = true; changed;) {
+    changed = false;
+    const owners = new Map(); // ref -> indexes of the APIs defining it
+    documents.forEach(({ openapi }, i) => {
+      for (const [type, components] of Object.entries(
+        openapi.components || {}
+      )) {
+        for (const name of Object.keys(components || {})) {
+          const ref = componentRef(type, name);
+          if (renames[i].has(ref)) continue;
+          if (!owners.has(ref)) owners.set(ref, { type, name, indexes: [] });
+          owners.get(ref).indexes.push(i);
+        }
+      }
+    });
+    for (const [ref, { type, name, indexes }] of owners) {
+      if (indexes.length < 2) continue;
+      const definitions = new Set(
+        indexes.map((i) => definition(i, type, name))
+      );
+      if (definitions.size === 1) continue;
+      for (const i of indexes) {
+        const to = namespaced(documents[i].name, name);
+        renames[i].set(ref, componentRef(type, to));
+        newNames[i].set(ref, to);
+        renamed.push({ api: documents[i].name, kind: type, from: name, to });
+      }
+      changed = true;
+    }
+  }
+
+  // Operations kept by method and path, the first API's winning, and the
+  // operationIds more than one API keeps
+  const routes = new Map(); // "METHOD path" -> name of the API that has it
+  const kept = documents.map(() => new Set());
+  const operationIdCounts = new Map();
+  documents.forEach(({ name, openapi }, i) => {
+    const ids = new Set();
+    for (const [path, pathItem] of Object.entries(openapi.paths || {})) {
+      for (const method of METHODS) {
+        const operation = pathItem?.[method];
+        if (!operation) continue;
+        const route = `${method.toUpperCase()} ${path}`;
+        if (routes.has(route)) {
+          conflicts.push({
+            api: name,
+            method: method.toUpperCase(),
+            path,
+            with: routes.get(route),
+          });
+          continue;
+        }
+        routes.set(route, name);
+        kept[i].add(operation);
+        if (operation.operationId) ids.add(operation.operationId);
+      }
+    }
+    ids.forEach((id) =>
+      operationIdCounts.set(id, (operationIdCounts.get(id) || 0) + 1)
+    );
+  });
+
+  const merged = {
+    openapi: documents.some(({ openapi }) => /^3\.1/.test(openapi.openapi))
+      ? "3.1.0"
+      : "3.0.3",
+    info: {
+      title,
+      ...(description && { description }),
+      version: documents
+        .map(({ name, openapi }) => `${name} ${openapi.info?.version ?? ""}`)
+        .map((version) => version.trim())
+        .join(", "),
+    },
+    tags: [],
+    paths: {},
+    components: {},
+  };
+  const tags = new Map();
+  const dropped = []; // operations left out for a conflict
+
+  documents.forEach(({ name, openapi }, i) => {
+    const apiTitle = openapi.info?.title || name;
+    renameRefs(openapi, renames[i]);
+    const schemeNames = new Map(
+      Object.keys(openapi.components?.securitySchemes || {}).map((scheme) => [
+        scheme,
+        newNames[i].get(componentRef("securitySchemes", scheme)) ?? scheme,
+      ])
+    );
+    settleOperations(openapi, apiTitle, schemeNames);
+
+    for (const tag of openapi.tags || []) {
+      if (!tags.has(tag.name)) tags.set(tag.name, tag);
+    }
+    if (!tags.has(apiTitle)) {
+      const summary = openapi.info?.summary || openapi.info?.description;
+      tags.set(apiTitle, {
+        name: apiTitle,
+        ...(summary && { description: summary }),
+      });
+    }
+
+    for (const [type, components] of Object.entries(openapi.components || {})) {
+      for (const [component, value] of Object.entries(components || {})) {
+        merged.components[type] ??= {};
+        merged.components[type][
+          newNames[i].get(componentRef(type, component)) ?? component
+        ] = value;
+      }
+    }
+
+    for (const [path, pathItem] of Object.entries(openapi.paths || {})) {
+      if (!pathItem || typeof pathItem !== "object") continue;
+      for (const method of METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+        if (!kept[i].has(operation)) {
+          dropped.push(operation);
+          continue;
+        }
+
+        if (operationIdCounts.get(operation.operationId) > 1) {
+          const to = namespaced(name, operation.operationId);
+          renamed.push({
+            api: name,
+            kind: "operationId",
+            from: operation.operationId,
+            to,
+          });
+          operation.operationId = to;
+        }
+        merged.paths[path] ??= {};
+        merged.paths[path][method] = operation;
+      }
+      if (!merged.paths[path]) continue;
+      for (const [key, value] of Object.entries(pathItem)) {
+        if (!METHODS.includes(key)) merged.paths[path][key] ??= value;
+      }
+    }
+
+    for (const [webhook, pathItem] of Object.entries(openapi.webhooks || {})) {
+      merged.webhooks ??= {};
+      merged.webhooks[
+        webhook in merged.webhooks ? namespaced(name, webhook) : webhook
+      ] = pathItem;
+    }
+  });
+
+  // Components only the left out operations used go with them
+  const graph = buildRefGraph(merged);
+  const operations = [merged.paths, merged.webhooks].flatMap((pathItems) =>
+    Object.values(pathItems || {}).flatMap((pathItem) =>
+      METHODS.map((method) => pathItem?.[method]).filter(Boolean)
+    )
+  );
+  const used = usedComponents(operations, graph);
+  for (const ref of usedComponents(dropped, graph)) {
+    if (used.has(ref)) continue;
+    const [, type, name] = /^#\/components\/([^/]+)\/(.+)$/.exec(ref);
+    delete merged.components[type]?.[
+      name.replace(/~1/g, "/").replace(/~0/g, "~")
+    ];
+  }
+
+  merged.tags = [...tags.values()];
+  return { openapi: merged, renamed, conflicts };
+}
@@ -0,0 +1,728 @@
+/**
+ * Mock of the API a spec describes: requests are routed to the operation their
+ * method and path match, checked against its parameters and request body,
+ * and answered with the examples of the spec or ones generated from the
+ * response schema. Every request is logged, so tests of agents can assert
+ * on what was called. The HTTP server for it is in serve.js.
+ */
+
+import { bundle, dereferenceSync } from "./deref.js";
+import { createExampleGenerator, exampleKey, exampleOf } from "./examples.js";
+import { filterOpenAPI, resolveConfig } from "./filter.js";
+import { normalizeOpenAPI } from "./normalize.js";
+import {
+  collectOperations,
+  operationParameters,
+  operationServers,
+} from "./operations.js";
+
+const FORMATS = {
+  "date-time":
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+};
+
+/**
+ * A count with its noun, in the plural unless it is one
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * JSON pointer segment for a property name
+ */
+function segment(name) {
+  return `/${String(name).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+/**
+ * Whether a value is of a JSON Schema type
+ */
+function isType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a schema of a dereferenced document, adding
+ * `{ pointer, message }` to `errors` for each problem. `direction` is
+ * "request" or "response": read-only properties are not required in
+ * requests, nor write-only ones in responses. `$ref`s left by circular
+ * schemas are not followed.
+ */
+function checkValue(value, schema, { direction, pointer = "" }, errors) {
+  if (!schema || typeof schema !== "object" || schema.$ref) return;
+  const fail = (message) => errors.push({ pointer, message });
+  const context = { direction, pointer };
+
+  for (const part of schema.allOf || []) {
+    checkValue(value, part, context, errors);
+  }
+  for (const [keyword, least, most] of [
+    ["oneOf", 1, 1],
+    ["anyOf", 1, Infinity],
+  ]) {
+    if (!Array.isArray(schema[keyword])) continue;
+    const matches = schema[keyword].filter((variant) => {
+      const variantErrors = [];
+      checkValue(value, variant, context, variantErrors);
+      return variantErrors.length === 0;
+    }).length;
+    if (matches < least || matches > most) {
+      fail(
+        keyword === "oneOf"
+          ? "must match exactly one of the allowed schemas"
+          : "must match at least one of the allowed schemas"
+      );
+      return;
+    }
+  }
+
+  const types = [].concat(schema.type ?? []);
+  if (value === null) {
+    if (schema.nullable || types.includes("null") || types.length === 0) return;
+    fail("must not be null");
+    return;
+  }
+  if (types.length > 0 && !types.some((type) => isType(value, type))) {
+    fail(`must be ${types.filter((type) => type !== "null").join(" or ")}`);
+    return;
+  }
+
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  if (schema.const !== undefined && !same(value, schema.const)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((v) => same(value, v))) {
+    fail(
+      `must be one of: ${schema.enum
+        .map((option) => JSON.stringify(option))
+        .join(", ")}`
+    );
+  }
+
+  if (typeof value === "string") {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(`must be at least ${plural(schema.minLength, "character")}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`must be at most ${plural(schema.maxLength, "character")}`);
+    }
+    if (schema.pattern) {
+      let pattern = null;
+      try {
+        pattern = new RegExp(schema.pattern, "u");
+      } catch {
+        // Patterns JavaScript cannot read are not checked
+      }
+      if (pattern && !pattern.test(value)) {
+        fail(`must match the pattern ${schema.pattern}`);
+      }
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    // OpenAPI 3.0 has boolean exclusive bounds, 3.1 numeric ones
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+    if (minimum !== undefined) {
+      if (exclusiveMinimum === true ? value <= minimum : value < minimum) {
+        fail(
+          `must be ${exclusiveMinimum === true ? "over" : "at least"} ${minimum}`
+        );
+      }
+    }
+    if (maximum !== undefined) {
+      if (exclusiveMaximum === true ? value >= maximum : value > maximum) {
+        fail(
+          `must be ${exclusiveMaximum === true ? "under" : "at most"} ${maximum}`
+        );
+      }
+    }
+    if (typeof exclusiveMinimum === "number" && value <= exclusiveMinimum) {
+      fail(`must be over ${exclusiveMinimum}`);
+    }
+    if (typeof exclusiveMaximum === "number" && value >= exclusiveMaximum) {
+      fail(`must be under ${exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${plural(schema.minItems, "item")}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${plural(schema.maxItems, "item")}`);
+    }
+    if (
+      schema.uniqueItems &&
+      new Set(value.map((item) => JSON.stringify(item))).size < value.length
+    ) {
+      fail("must not have duplicate items");
+    }
+    value.forEach((item, i) =>
+      checkValue(
+        item,
+        schema.items,
+        { direction, pointer: `${pointer}/${i}` },
+        errors
+      )
+    );
+  }
+
+  if (isType(value, "object")) {
+    const properties = schema.properties || {};
+    const skipped = direction === "request" ? "readOnly" : "writeOnly";
+    for (const name of schema.required || []) {
+      if (value[name] === undefined && !properties[name]?.[skipped]) {
+        errors.push({
+          pointer: `${pointer}${segment(name)}`,
+          message: "is required",
+        });
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const at = { direction, pointer: `${pointer}${segment(name)}` };
+      if (name in properties) {
+        checkValue(item, properties[name], at, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: at.pointer, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        checkValue(item, schema.additionalProperties, at, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Turn the text of a parameter into the type its schema asks for, where it
+ * reads as one; values that do not are left for checkValue to report
+ */
+function coerce(raw, schema) {
+  if (raw === undefined || !schema || typeof schema !== "object") return raw;
+  const types = [].concat(schema.type ?? []);
+  if (Array.isArray(raw)) {
+    return types.includes("array")
+      ? raw.map((item) => coerce(item, schema.items))
+      : coerce(raw[raw.length - 1], schema);
+  }
+  if (types.includes("array")) {
+    return raw === ""
+      ? []
+      : raw.split(",").map((item) => coerce(item, schema.items));
+  }
+  if (
+    (types.includes("integer") || types.includes("number")) &&
+    raw.trim() !== ""
+  ) {
+    const number = Number(raw);
+    if (!Number.isNaN(number)) return number;
+  }
+  if (types.includes("boolean") && (raw === "true" || raw === "false")) {
+    return raw === "true";
+  }
+  if (types.includes("null") && raw === "null") return null;
+  return raw;
+}
+
+/**
+ * Parse a `Cookie` header into an object. Values that are not valid
+ * percent-encoding are kept as-is and their names added to `malformed`.
+ */
+function parseCookies(header = "", malformed = new Set()) {
+  const cookies = {};
+  for (const pair of header.split(";")) {
+    const index = pair.indexOf("=");
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      const value = pair.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+        malformed.add(name);
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Parse a `Prefer` header (`code=404, example=notFound`) into an object
+ */
+function parsePrefer(header = "") {
+  const preferences = {};
+  for (const token of header.split(/[,;]/)) {
+    const [name, value = ""] = token.split("=").map((part) => part.trim());
+    if (name) preferences[name.toLowerCase()] = value.replace(/^"|"$/g, "");
+  }
+  return preferences;
+}
+
+/**
+ * Media type without parameters, in lower case
+ */
+function baseMediaType(contentType = "") {
+  return contentType.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Whether a media type is JSON
+ */
+function isJson(mediaType) {
+  return /^application\/(.+\+)?json$/.test(mediaType) || mediaType === "*/*";
+}
+
+/**
+ * Whether `mediaType` matches a range like `application/*`
+ */
+function matchesRange(mediaType, range) {
+  const [type, subtype] = range.split("/");
+  const [actualType, actualSubtype] = mediaType.split("/");
+  return (
+    (type === "*" || type === actualType) &&
+    (subtype === "*" || subtype === actualSubtype)
+  );
+}
+
+/**
+ * Base path of a server URL: `/v1` for `https://api.example.com/v1`, with
+ * variables replaced by their defaults
+ */
+function basePath(server) {
+  const url = String(server.url || "").replace(
+    /\{([^}]+)\}/g,
+    (match, name) => server.variables?.[name]?.default ?? ""
+  );
+  try {
+    return new URL(url, "http://localhost").pathname.replace(/\/+$/, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Route of an operation: a pattern for its path under each base path of
+ * its servers, and the names of its path parameters
+ */
+function compileRoute(op, openapi) {
+  const names = [];
+  const template = op.path
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const name = /^\{([^}]+)\}$/.exec(part)?.[1];
+      if (name === undefined) {
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+      names.push(name);
+      return "([^/]+)";
+    })
+    .join("");
+  const bases = new Set(
+    operationServers(op, openapi).map((server) =>
+      basePath(server).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    )
+  );
+  bases.add("");
+  return {
+    op,
+    names,
+    pattern: new RegExp(`^(?:${[...bases].join("|")})${template}/?$`),
+  };
+}
+
+/**
+ * Response error as JSON: `error` is a short code, `errors` lists
+ * `{ in, name?, pointer?, message }` for problems with the request
+ */
+function errorResponse(status, error, message, details = {}) {
+  return {
+    status,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ error, message, ...details }, null, 2),
+  };
+}
+
+/**
+ * Create a mock of an OpenAPI document (parsed, Swagger 2.0 or OpenAPI 3),
+ * bundled and filtered with `options` like generateLlms does. Resolves to
+ * `{ operations, handle, requests, clearRequests }`:
+ *
+ * - `handle({ method, url, headers, body })` answers a request (`url` the
+ *   path and query, `headers` with lower case names, `body` the text) with
+ *   `{ status, headers, body }`
+ * - `requests` is the log of handled requests, each `{ id, time, method,
+ *   path, query, headers, body, operationId, status, errors }`
+ *
+ * Requests whose parameters or body do not match the spec get a 400 with
+ * the problems found. Responses use the lowest 2xx status and the examples
+ * of the spec, else ones generated with `options.exampleSeed` (the same as
+ * the generated docs show). `Prefer: code=404` picks another status and
+ * `Prefer: example=name` a named example.
+ */
+export async function createMock(openapi, options = {}) {
+  const config = resolveConfig(options);
+  const dereferenced = dereferenceSync(
+    filterOpenAPI(normalizeOpenAPI(await bundle(openapi, options)), config)
+  );
+  const generateExample = createExampleGenerator({ seed: config.exampleSeed });
+
+  // Literal segments win over templated ones: /pets/mine before /pets/{id}
+  const routes = collectOperations(dereferenced)
+    .map((op) => compileRoute(op, dereferenced))
+    .sort(
+      (a, b) =>
+        a.names.length - b.names.length || b.op.path.length - a.op.path.length
+    );
+  const requests = [];
+
+  const respond = (op, request, preferences) => {
+    const { operationId, operation } = op;
+    const responses = operation.responses || {};
+    let status;
+    let response;
+    if (preferences.code) {
+      if (!/^[1-5]\d\d$/.test(preferences.code)) {
+        return errorResponse(
+          400,
+          "invalid_status",
+          `Prefer: code=${preferences.code} is not a status code from 100 to 599`
+        );
+      }
+      status = Number(preferences.code);
+      response =
+        responses[preferences.code] ??
+        responses[`${preferences.code[0]}XX`] ??
+        responses.default;
+      if (!response) {
+        return errorResponse(
+          400,
+          "unknown_status",
+          `${operationId} has no ${preferences.code} response`
+        );
+      }
+    } else {
+      const statuses = Object.keys(responses).filter((key) =>
+        /^\d{3}$/.test(key)
+      );
+      const chosen =
+        statuses.filter((key) => key.startsWith("2")).sort()[0] ??
+        statuses.sort()[0];
+      status = chosen ? Number(chosen) : 200;
+      response = chosen ? responses[chosen] : responses.default;
+    }
+    const key = Object.keys(responses).find((k) => responses[k] === response);
+
+    const headers = {};
+    for (const [name, header] of Object.entries(response?.headers || {})) {
+      if (name.toLowerCase() === "content-type" || !header) continue;
+      const { value } = exampleOf(header, {
+        generateExample,
+        key: exampleKey(operationId, "response", key, "header", name),
+        direction: "response",
+      });
+      if (value !== undefined && value !== null) {
+        headers[name] =
+          typeof value === "string" ? value : JSON.stringify(value);
+      }
+    }
+
+    const content = Object.entries(response?.content || {});
+    if (content.length === 0) return { status, headers, body: "" };
+
+    // The first media type the client accepts, JSON first
+    const accepted = (request.headers.accept || "*/*")
+      .split(",")
+      .map((range) => baseMediaType(range))
+      .filter(Boolean);
+    const candidates = [...content].sort(
+      ([a], [b]) => Number(isJson(b)) - Number(isJson(a))
+    );
+    const match = candidates.find(([mediaType]) =>
+      accepted.some((range) => matchesRange(baseMediaType(mediaType), range))
+    );
+    if (!match) {
+      return errorResponse(
+        406,
+        "not_acceptable",
+        `${operationId} responds with ${content
+          .map(([mediaType]) => mediaType)
+          .join(", ")}`
+      );
+    }
+    const [mediaType, media] = match;
+
+    let value;
+    if (preferences.example) {
+      const example = media?.examples?.[preferences.example];
+      if (example?.value === undefined) {
+        return errorResponse(
+          400,
+          "unknown_example",
+          `The ${key} ${mediaType} response of ${operationId} has no example "${
+            preferences.example
+          }"${
+            media?.examples
+              ? `, use one of: ${Object.keys(media.examples).join(", ")}`
+              : ""
+          }`
+        );
+      }
+      value = example.value;
+    } else {
+      value = exampleOf(media || {}, {
+        generateExample,
+        key: exampleKey(operationId, "response", key, mediaType),
+        direction: "response",
+      }).value;
+    }
+
+    return {
+      status,
+      headers: { ...headers, "Content-Type": mediaType },
+      body:
+        typeof value === "string" && !isJson(baseMediaType(mediaType))
+          ? value
+          : JSON.stringify(value, null, 2),
+    };
+  };
+
+  // Problems with a request's parameters and body, as `{ in, name?,
+  // pointer?, message }`
+  const checkRequest = (op, match, request, url) => {
+    const errors = [];
+    const malformedCookies = new Set();
+    const cookies = parseCookies(request.headers.cookie, malformedCookies);
+    const pathValues = Object.fromEntries(
+      match.names.map((name, i) => [name, match.values[i]])
+    );
+
+    for (const parameter of operationParameters(op)) {
+      if (!parameter?.in || parameter.$ref) continue;
+      const { name } = parameter;
+      let raw;
+      if (parameter.in === "path") raw = pathValues[name];
+      else if (parameter.in === "query") {
+        const values = url.searchParams.getAll(name);
+        raw = values.length > 1 ? values : values[0];
+      } else if (parameter.in === "header") {
+        raw = request.headers[name.toLowerCase()];
+      } else if (parameter.in === "cookie") raw = cookies[name];
+
+      if (raw === undefined) {
+        if (parameter.required) {
+          errors.push({ in: parameter.in, name, message: "is required" });
+        }
+        continue;
+      }
+      if (parameter.in === "cookie" && malformedCookies.has(name)) {
+        errors.push({
+          in: "cookie",
+          name,
+          message: "is not valid percent-encoding",
+        });
+        continue;
+      }
+
+      let value;
+      let schema = parameter.schema;
+      if (parameter.content) {
+        schema = Object.values(parameter.content)[0]?.schema;
+        try {
+          value = JSON.parse(raw);
+        } catch {
+          value = raw;
+        }
+      } else {
+        value = coerce(raw, schema);
+      }
+      const problems = [];
+      checkValue(value, schema, { direction: "request" }, problems);
+      for (const { pointer, message } of problems) {
+        errors.push({
+          in: parameter.in,
+          name,
+          ...(pointer && { pointer }),
+          message,
+        });
+      }
+    }
+
+    const requestBody = op.operation.requestBody;
+    const body = request.body ?? "";
+    if (!requestBody) return { errors };
+    if (body === "") {
+      if (requestBody.required) {
+        errors.push({ in: "body", message: "is required" });
+      }
+      return { errors };
+    }
+
+    const contentType = baseMediaType(request.headers["content-type"]);
+    const content = requestBody.content || {};
+    const mediaType =
+      Object.keys(content).find(
+        (type) => baseMediaType(type) === contentType
+      ) ??
+      Object.keys(content).find((type) =>
+        matchesRange(contentType || "application/json", baseMediaType(type))
+      );
+    if (mediaType === undefined) {
+      return {
+        errors,
+        unsupported: `${op.operationId} accepts ${Object.keys(content).join(
+          ", "
+        )}, not ${contentType || "a body without Content-Type"}`,
+      };
+    }
+
+    const schema = content[mediaType]?.schema;
+    let value;
+    if (isJson(contentType || "application/json")) {
+      try {
+        value = JSON.parse(body);
+      } catch (error) {
+        errors.push({
+          in: "body",
+          message: `is not valid JSON: ${error.message}`,
+        });
+        return { errors };
+      }
+    } else if (contentType === "application/x-www-form-urlencoded") {
+      value = {};
+      for (const [name, raw] of new URLSearchParams(body)) {
+        value[name] = coerce(raw, schema?.properties?.[name]);
+      }
+    } else {
+      return { errors };
+    }
+    const problems = [];
+    checkValue(value, schema, { direction: "request" }, problems);
+    for (const { pointer, message } of problems) {
+      errors.push({ in: "body", ...(pointer && { pointer }), message });
+    }
+    return { errors, value };
+  };
+
+  const handle = (request) => {
+    const url = new URL(request.url, "http://localhost");
+    const method = request.method.toLowerCase();
+    const path = url.pathname;
+    const headers = request.headers || {};
+    const entry = {
+      id: requests.length + 1,
+      time: new Date().toISOString(),
+      method: method.toUpperCase(),
+      path,
+      query: Object.fromEntries(
+        [...new Set(url.searchParams.keys())].map((name) => {
+          const values = url.searchParams.getAll(name);
+          return [name, values.length > 1 ? values : values[0]];
+        })
+      ),
+      headers,
+      body: request.body || undefined,
+      operationId: null,
+    };
+    requests.push(entry);
+
+    const result = (() => {
+      let pathMatched = false;
+      let match;
+      for (const route of routes) {
+        const found = route.pattern.exec(path);
+        if (!found) continue;
+        pathMatched = true;
+        if (route.op.method !== method) continue;
+        match = {
+          ...route,
+          values: found.slice(1).map((value) => {
+            try {
+              return decodeURIComponent(value);
+            } catch {
+              return value;
+            }
+          }),
+        };
+        break;
+      }
+      if (!match) {
+        if (!pathMatched) {
+          return errorResponse(404, "not_found", `No operation for ${path}`);
+        }
+        const allowed = routes
+          .filter((route) => route.pattern.test(path))
+          .map((route) => route.op.method.toUpperCase());
+        return {
+          ...errorResponse(
+            405,
+            "method_not_allowed",
+            `${method.toUpperCase()} is not allowed for ${path}`
+          ),
+          headers: {
+            "Content-Type": "application/json",
+            Allow: [...new Set(allowed)].join(", "),
+          },
+        };
+      }
+
+      const { op } = match;
+      entry.operationId = op.operationId;
+      const { errors, value, unsupported } = checkRequest(
+        op,
+        match,
+        { ...request, headers },
+        url
+      );
+      if (value !== undefined) entry.body = value;
+      if (unsupported) {
+        return errorResponse(415, "unsupported_media_type", unsupported);
+      }
+      if (errors.length > 0) {
+        entry.errors = errors;
+        return errorResponse(
+          400,
+          "invalid_request",
+          `The request does not match ${op.operationId}`,
+          { operationId: op.operationId, errors }
+        );
+      }
+      return respond(op, { headers }, parsePrefer(headers.prefer));
+    })();
+
+    entry.status = result.status;
+    return result;
+  };
+
+  return {
+    operations: routes.length,
+    handle,
+    requests,
+    clearRequests() {
+      requests.length = 0;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * File names for operations and tags. Names come from operationIds and tag
+ * names, which may hold any character, so they are turned into safe slugs
+ * and made unique within their directory.
+ */
+
+// Device names Windows will not use as file names
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+const MAX_LENGTH = 100;
+
+/**
+ * Turn a name into a file name without directory separators or leading
+ * dots: runs of other characters than letters, digits, `.`, `_` and `-`
+ * become `-`
+ */
+export function slugify(name) {
+  const slug = String(name ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/^[-.]+|[-.]+$/g, "")
+    .slice(0, MAX_LENGTH)
+    .replace(/[-.]+$/, "");
+
+  if (!slug) return "unnamed";
+  return RESERVED_NAMES.test(slug) ? `${slug}_` : slug;
+}
+
+/**
+ * Create a function that gives each name a unique slug, comparing case
+ * insensitively since file systems often do. A clash is resolved by
+ * appending `-2`, `-3`, ... in the order names are given, so the result is
+ * deterministic for a document.
+ *
+ * `reserved` names are taken from the start. Each slug also takes its
+ * variants with `suffixes`, for files derived from it (like `-docs`).
+ */
+export function createNamer({ reserved = [], suffixes = [] } = {}) {
+  const used = new Set(reserved.map((name) => name.toLowerCase()));
+  const taken = (slug) =>
+    [slug, ...suffixes.map((suffix) => `${slug}${suffix}`)].some((name) =>
+      used.has(name.toLowerCase())
+    );
+
+  return (name) => {
+    const base = slugify(name);
+    let slug = base;
+    for (let i = 2; taken(slug); i++) slug = `${base}-${i}`;
+
+    used.add(slug.toLowerCase());
+    for (const suffix of suffixes) used.add(`${slug}${suffix}`.toLowerCase());
+    return slug;
+  };
+}
@@ -0,0 +1,475 @@
+/**
+ * Normalisation of input documents to the OpenAPI 3.x shape the rest of the
+ * package works with: Swagger 2.0 is upgraded, and path items given by
+ * `$ref` (3.1 `components/pathItems`) are inlined.
+ */
+
+import { resolveRefSync } from "./deref.js";
+import { METHODS } from "./operations.js";
+import { componentRef } from "./refs.js";
+
+// Components sections bundle() fills, by the Swagger 2.0 section they belong in
+const SWAGGER_SECTIONS = {
+  schemas: "definitions",
+  parameters: "parameters",
+  responses: "responses",
+  securitySchemes: "securityDefinitions",
+};
+
+const SWAGGER_REFS = [
+  [/^#\/definitions\//, "#/components/schemas/"],
+  [/^#\/responses\//, "#/components/responses/"],
+  [/^#\/securityDefinitions\//, "#/components/securitySchemes/"],
+];
+
+// Parameter keywords that move into `schema` in OpenAPI 3
+const SCHEMA_KEYWORDS = [
+  "type",
+  "format",
+  "items",
+  "enum",
+  "default",
+  "minimum",
+  "maximum",
+  "exclusiveMinimum",
+  "exclusiveMaximum",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minItems",
+  "maxItems",
+  "uniqueItems",
+  "multipleOf",
+];
+
+const OAUTH_FLOWS = {
+  implicit: "implicit",
+  password: "password",
+  application: "clientCredentials",
+  accessCode: "authorizationCode",
+};
+
+/**
+ * Apply Swagger 2.0 schema differences: `x-nullable`, `type: file` and
+ * string discriminators
+ */
+function convertSchema(schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  if (Array.isArray(schema)) return schema.map(convertSchema);
+
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "x-nullable") {
+      out.nullable = value;
+    } else if (key === "discriminator" && typeof value === "string") {
+      out.discriminator = { propertyName: value };
+    } else if (key === "type" && value === "file") {
+      out.type = "string";
+      out.format = "binary";
+    } else if (key === "properties") {
+      out[key] = Object.fromEntries(
+        Object.entries(value || {}).map(([name, child]) => [
+          name,
+          convertSchema(child),
+        ])
+      );
+    } else if (
+      typeof value === "object" &&
+      !["enum", "default", "example"].includes(key)
+    ) {
+      out[key] = convertSchema(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert a non-body Swagger 2.0 parameter, moving its type into `schema`
+ */
+function convertParameter(parameter) {
+  if (parameter.$ref) return parameter;
+
+  const out = {};
+  const schema = {};
+  for (const [key, value] of Object.entries(parameter)) {
+    if (SCHEMA_KEYWORDS.includes(key)) {
+      schema[key] = value;
+    } else if (key === "collectionFormat") {
+      if (value === "multi") {
+        out.explode = true;
+      } else if (value === "csv") {
+        out.explode = false;
+      } else if (value === "ssv") {
+        out.style = "spaceDelimited";
+      } else if (value === "pipes") {
+        out.style = "pipeDelimited";
+      }
+    } else if (key !== "allowEmptyValue" || parameter.in === "query") {
+      out[key] = value;
+    }
+  }
+  out.schema = convertSchema(schema);
+  return out;
+}
+
+/**
+ * Build a request body from `in: body` or `in: formData` parameters
+ */
+function convertBodyParameters(parameters, consumes) {
+  const body = parameters.find((parameter) => parameter.in === "body");
+  if (body) {
+    const schema = convertSchema(body.schema || {});
+    const content = {};
+    for (const mediaType of consumes) content[mediaType] = { schema };
+    return {
+      ...(body.description && { description: body.description }),
+      content,
+      ...(body.required && { required: true }),
+      ...(body["x-examples"] && { "x-examples": body["x-examples"] }),
+    };
+  }
+
+  const form = parameters.filter((parameter) => parameter.in === "formData");
+  if (form.length === 0) return undefined;
+
+  const schema = { type: "object", properties: {} };
+  const required = [];
+  for (const parameter of form) {
+    const { schema: property } = convertParameter(parameter);
+    if (parameter.description) property.description = parameter.description;
+    schema.properties[parameter.name] = property;
+    if (parameter.required) required.push(parameter.name);
+  }
+  if (required.length > 0) schema.required = required;
+
+  const multipart =
+    consumes.includes("multipart/form-data") ||
+    form.some((parameter) => parameter.type === "file");
+  const mediaType = multipart
+    ? "multipart/form-data"
+    : "application/x-www-form-urlencoded";
+  return {
+    content: { [mediaType]: { schema } },
+    required: required.length > 0,
+  };
+}
+
+/**
+ * Convert a Swagger 2.0 response
+ */
+function convertResponse(response, produces) {
+  if (!response || response.$ref) return response;
+
+  const out = { description: response.description || "" };
+  if (response.schema) {
+    const schema = convertSchema(response.schema);
+    out.content = {};
+    for (const mediaType of produces) {
+      out.content[mediaType] = { schema };
+      if (response.examples?.[mediaType] !== undefined) {
+        out.content[mediaType].example = response.examples[mediaType];
+      }
+    }
+  }
+  if (response.headers) {
+    out.headers = {};
+    for (const [name, header] of Object.entries(response.headers)) {
+      const { schema } = convertParameter(header);
+      out.headers[name] = {
+        ...(header.description && { description: header.description }),
+        schema,
+      };
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert a Swagger 2.0 security definition to a security scheme
+ */
+function convertSecurityScheme(definition) {
+  if (definition.type === "basic") {
+    return {
+      type: "http",
+      scheme: "basic",
+      description: definition.description,
+    };
+  }
+  if (definition.type !== "oauth2") return definition;
+
+  const flow = {};
+  if (definition.authorizationUrl) {
+    flow.authorizationUrl = definition.authorizationUrl;
+  }
+  if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+  flow.scopes = definition.scopes || {};
+
+  return {
+    type: "oauth2",
+    ...(definition.description && { description: definition.description }),
+    flows: { [OAUTH_FLOWS[definition.flow] || definition.flow]: flow },
+  };
+}
+
+/**
+ * Rewrite Swagger 2.0 `$ref`s to their OpenAPI 3 location. Refs to body
+ * parameters become refs to request bodies.
+ */
+function rewriteRefs(value, bodyParameters) {
+  if (!value || typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => rewriteRefs(item, bodyParameters));
+  }
+
+  const out = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "$ref" && typeof child === "string") {
+      let ref = child;
+      for (const [pattern, replacement] of SWAGGER_REFS) {
+        ref = ref.replace(pattern, replacement);
+      }
+      const parameter = /^#\/parameters\/(.+)$/.exec(ref);
+      if (parameter) {
+        ref = bodyParameters.has(parameter[1])
+          ? `#/components/requestBodies/${parameter[1]}`
+          : `#/components/parameters/${parameter[1]}`;
+      }
+      out.$ref = ref;
+    } else {
+      out[key] = rewriteRefs(child, bodyParameters);
+    }
+  }
+  return out;
+}
+
+/**
+ * Move the components bundle() copied in from other documents into the
+ * Swagger 2.0 sections, so they are converted like the document's own.
+ * Names already taken there get a numbered suffix. Components of other
+ * types, such as headers, are left in `components`.
+ */
+function foldBundledComponents(swagger) {
+  const { components, ...folded } = swagger;
+  const refs = new Map(); // bundled ref -> Swagger 2.0 ref
+  const rest = {};
+  for (const [type, values] of Object.entries(components || {})) {
+    const section = SWAGGER_SECTIONS[type];
+    if (!section) {
+      rest[type] = values;
+      continue;
+    }
+    folded[section] = { ...folded[section] };
+    for (const [name, value] of Object.entries(values || {})) {
+      let unique = name;
+      for (let i = 2; Object.hasOwn(folded[section], unique); i++) {
+        unique = `${name}_${i}`;
+      }
+      folded[section][unique] = value;
+      refs.set(
+        componentRef(type, name),
+        `#/${section}/${unique.replace(/~/g, "~0").replace(/\//g, "~1")}`
+      );
+    }
+  }
+
+  const rename = (value) => {
+    if (!value || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(rename);
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        key === "$ref" && refs.has(child) ? refs.get(child) : rename(child),
+      ])
+    );
+  };
+  return { swagger: rename(folded), components: rest };
+}
+
+/**
+ * Upgrade a Swagger 2.0 document to OpenAPI 3.0
+ */
+export function convertSwagger2(document) {
+  const { swagger, components: bundled } = foldBundledComponents(document);
+  const consumes = swagger.consumes || ["application/json"];
+  const produces = swagger.produces || ["application/json"];
+
+  // Shared parameters that are bodies become request bodies
+  const bodyParameters = new Set(
+    Object.entries(swagger.parameters || {})
+      .filter(([, parameter]) => ["body", "formData"].includes(parameter.in))
+      .map(([name]) => name)
+  );
+
+  const resolveParameter = (parameter) => {
+    const match = /^#\/parameters\/(.+)$/.exec(parameter?.$ref || "");
+    return match ? swagger.parameters?.[match[1]] || parameter : parameter;
+  };
+
+  const openapi = { openapi: "3.0.3", info: swagger.info || {} };
+
+  const schemes = swagger.schemes?.length ? swagger.schemes : ["https"];
+  const basePath = swagger.basePath || "";
+  openapi.servers = swagger.host
+    ? schemes.map((scheme) => ({
+        url: `${scheme}://${swagger.host}${basePath}`,
+      }))
+    : [{ url: basePath || "/" }];
+
+  if (swagger.security) openapi.security = swagger.security;
+  if (swagger.tags) openapi.tags = swagger.tags;
+  if (swagger.externalDocs) openapi.externalDocs = swagger.externalDocs;
+
+  openapi.paths = {};
+  for (const [path, pathItem] of Object.entries(swagger.paths || {})) {
+    if (!pathItem || typeof pathItem !== "object") continue;
+
+    const shared = (pathItem.parameters || []).map(resolveParameter);
+    const converted = {};
+
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (key === "parameters") {
+        const parameters = (pathItem.parameters || []).filter(
+          (_, i) => !["body", "formData"].includes(shared[i]?.in)
+        );
+        if (parameters.length > 0) {
+          converted.parameters = parameters.map(convertParameter);
+        }
+      } else if (!METHODS.includes(key)) {
+        converted[key] = value;
+      }
+    }
+
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const {
+        parameters = [],
+        consumes: opConsumes,
+        produces: opProduces,
+        responses,
+        ...out
+      } = operation;
+      delete out.schemes;
+      const resolved = parameters.map(resolveParameter);
+
+      // A body given by a shared parameter stays a ref, to a request body
+      const bodyRef = parameters.find(
+        (parameter, i) =>
+          parameter.$ref && ["body", "formData"].includes(resolved[i]?.in)
+      );
+      const inline = [
+        ...shared.filter((parameter) =>
+          ["body", "formData"].includes(parameter?.in)
+        ),
+        ...parameters.filter(
+          (parameter) =>
+            !parameter.$ref && ["body", "formData"].includes(parameter.in)
+        ),
+      ];
+
+      const requestBody = bodyRef
+        ? rewriteRefs(bodyRef, bodyParameters)
+        : convertBodyParameters(inline, opConsumes || consumes);
+      const other = parameters.filter(
+        (parameter, i) => !["body", "formData"].includes(resolved[i]?.in)
+      );
+
+      if (other.length > 0) out.parameters = other.map(convertParameter);
+      if (requestBody) out.requestBody = requestBody;
+      out.responses = {};
+      for (const [status, response] of Object.entries(responses || {})) {
+        out.responses[status] = convertResponse(
+          response,
+          opProduces || produces
+        );
+      }
+      converted[method] = out;
+    }
+
+    openapi.paths[path] = converted;
+  }
+
+  const components = { ...bundled };
+  if (swagger.definitions) {
+    components.schemas = {};
+    for (const [name, schema] of Object.entries(swagger.definitions)) {
+      components.schemas[name] = convertSchema(schema);
+    }
+  }
+  for (const [name, parameter] of Object.entries(swagger.parameters || {})) {
+    if (bodyParameters.has(name)) {
+      components.requestBodies ??= {};
+      components.requestBodies[name] = convertBodyParameters(
+        [parameter],
+        consumes
+      );
+    } else {
+      components.parameters ??= {};
+      components.parameters[name] = convertParameter(parameter);
+    }
+  }
+  if (swagger.responses) {
+    components.responses = {};
+    for (const [name, response] of Object.entries(swagger.responses)) {
+      components.responses[name] = convertResponse(response, produces);
+    }
+  }
+  if (swagger.securityDefinitions) {
+    components.securitySchemes = {};
+    for (const [name, definition] of Object.entries(
+      swagger.securityDefinitions
+    )) {
+      components.securitySchemes[name] = convertSecurityScheme(definition);
+    }
+  }
+  if (Object.keys(components).length > 0) openapi.components = components;
+
+  for (const [key, value] of Object.entries(swagger)) {
+    if (key.startsWith("x-")) openapi[key] = value;
+  }
+
+  return rewriteRefs(openapi, bodyParameters);
+}
+
+/**
+ * Inline path items given by `$ref`, keeping any sibling fields
+ */
+function inlinePathItems(openapi, items) {
+  if (!items) return items;
+
+  const out = {};
+  for (const [key, pathItem] of Object.entries(items)) {
+    let item = pathItem;
+    for (let hops = 0; item?.$ref && hops < 10; hops++) {
+      const { $ref, ...siblings } = item;
+      const target = resolveRefSync(openapi, $ref);
+      if (!target) break;
+      item = { ...target, ...siblings };
+    }
+    out[key] = item;
+  }
+  return out;
+}
+
+/**
+ * Bring a bundled document into the OpenAPI 3.x shape: Swagger 2.0 is
+ * converted, and path items in `paths` and `webhooks` given by `$ref` are
+ * inlined
+ */
+export function normalizeOpenAPI(document) {
+  const openapi =
+    typeof document?.swagger === "string" && document.swagger.startsWith("2.")
+      ? convertSwagger2(document)
+      : document;
+
+  return {
+    ...openapi,
+    paths: inlinePathItems(openapi, openapi.paths) || {},
+    ...(openapi.webhooks && {
+      webhooks: inlinePathItems(openapi, openapi.webhooks),
+    }),
+  };
+}
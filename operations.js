@@ -0,0 +1,118 @@
+import { createNamer } from "./naming.js";
+
+/**
+ * HTTP methods a path item can hold operations for
+ */
+export const METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+  "trace",
+];
+
+/**
+ * Collect every operation of a document in path order, with its
+ * operationId (or one derived from path and method), tags and path item.
+ * `fileName` is the name of the operation's files: its operationId as a
+ * slug, unique among the operations (see createNamer in naming.js).
+ */
+export function collectOperations(openapi) {
+  const operations = [];
+  const fileName = createNamer({ suffixes: ["-docs"] });
+
+  for (const [path, pathItem] of Object.entries(openapi.paths || {})) {
+    if (!pathItem || typeof pathItem !== "object") continue;
+
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const operationId =
+        operation.operationId ||
+        `${path.slice(1).replace(/[^a-zA-Z0-9]/g, "_")}_${method}`;
+      operations.push({
+        operationId,
+        fileName: fileName(operationId),
+        path,
+        method,
+        operation,
+        pathItem,
+        tags: operation.tags || [],
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Collect every webhook operation of an OpenAPI 3.1 document, shaped like
+ * collectOperations with `webhook` holding the webhook name
+ */
+export function collectWebhooks(openapi) {
+  const webhooks = [];
+  const fileName = createNamer();
+
+  for (const [name, pathItem] of Object.entries(openapi.webhooks || {})) {
+    if (!pathItem || typeof pathItem !== "object") continue;
+
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const operationId =
+        operation.operationId ||
+        `webhook_${name.replace(/[^a-zA-Z0-9]/g, "_")}_${method}`;
+      webhooks.push({
+        operationId,
+        fileName: fileName(operationId),
+        webhook: name,
+        path: name,
+        method,
+        operation,
+        pathItem,
+        tags: operation.tags || [],
+      });
+    }
+  }
+
+  return webhooks;
+}
+
+/**
+ * Parameters that apply to an operation: those of its path item, overridden
+ * by the operation's own parameters with the same name and location. `$ref`
+ * parameters are resolved with `resolve` when given.
+ */
+export function operationParameters(
+  { operation, pathItem },
+  resolve = (parameter) => parameter
+) {
+  const parameters = new Map();
+  for (const entry of [
+    ...(pathItem?.parameters || []),
+    ...(operation.parameters || []),
+  ]) {
+    const parameter = resolve(entry);
+    if (!parameter || typeof parameter !== "object") continue;
+    parameters.set(
+      parameter.$ref || `${parameter.in}:${parameter.name}`,
+      parameter
+    );
+  }
+  return [...parameters.values()];
+}
+
+/**
+ * Servers that apply to an operation: its own, else its path item's, else
+ * the document's
+ */
+export function operationServers({ operation, pathItem }, openapi) {
+  if (operation.servers?.length) return operation.servers;
+  if (pathItem?.servers?.length) return pathItem.servers;
+  return openapi.servers || [];
+}
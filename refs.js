@@ -0,0 +1,63 @@
+/**
+ * Build the local ref pointing at a component
+ */
+export function componentRef(type, name) {
+  const escaped = name.replace(/~/g, "~0").replace(/\//g, "~1");
+  return `#/components/${type}/${escaped}`;
+}
+
+/**
+ * Collect every `$ref` string found anywhere in a value
+ */
+export function collectRefs(value, refs = new Set()) {
+  if (!value || typeof value !== "object") return refs;
+
+  if (Array.isArray(value)) {
+    for (const item of value) collectRefs(item, refs);
+    return refs;
+  }
+
+  if (typeof value.$ref === "string") refs.add(value.$ref);
+  for (const [key, child] of Object.entries(value)) {
+    if (key !== "$ref") collectRefs(child, refs);
+  }
+  return refs;
+}
+
+/**
+ * Build the reference graph of a document: for every component, the set of
+ * refs it contains. Build it once per document and reuse it for each subset.
+ */
+export function buildRefGraph(openapi) {
+  const graph = new Map();
+
+  for (const [type, components] of Object.entries(openapi.components || {})) {
+    if (!components || typeof components !== "object") continue;
+
+    for (const [name, component] of Object.entries(components)) {
+      graph.set(componentRef(type, name), collectRefs(component));
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Expand a set of refs to everything they transitively reference
+ */
+export function closeRefs(refs, graph) {
+  const closed = new Set();
+  const pending = [...refs];
+
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    if (closed.has(ref)) continue;
+    closed.add(ref);
+
+    for (const next of graph.get(ref) || []) {
+      if (!closed.has(next)) pending.push(next);
+    }
+  }
+
+  return closed;
+}
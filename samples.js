@@ -0,0 +1,559 @@
+/**
+ * Ready-to-run request samples for operations (curl, JavaScript fetch and
+ * Python requests), so an LLM sees a concrete call next to the schema:
+ * where each parameter goes, what the body looks like and how to
+ * authenticate.
+ */
+
+import { resolveRefSync } from "./deref.js";
+import { createExampleGenerator, exampleKey, exampleOf } from "./examples.js";
+import { operationParameters, operationServers } from "./operations.js";
+
+// Used when the document has no servers, or only relative ones
+const PLACEHOLDER_HOST = "https://api.example.com";
+
+/**
+ * Follow `$ref`s left in a dereferenced document (circular references)
+ */
+function resolve(value, openapi) {
+  for (let hops = 0; value?.$ref && hops < 10; hops++) {
+    const target = resolveRefSync(openapi, value.$ref);
+    if (!target) break;
+    value = target;
+  }
+  return value;
+}
+
+/**
+ * Whether the document gives a value for a schema, rather than one having
+ * to be generated
+ */
+function hasGivenValue(schema) {
+  return (
+    schema.const !== undefined ||
+    schema.example !== undefined ||
+    schema.examples?.length > 0 ||
+    schema.default !== undefined ||
+    schema.enum?.length > 0
+  );
+}
+
+/**
+ * Absolute URL of the first server of an operation, with server variables
+ * set to their defaults
+ */
+function serverUrl(op, openapi) {
+  const server = operationServers(op, openapi)[0];
+  const url = (server?.url || "").replace(
+    /\{([^}]+)\}/g,
+    (match, name) => server.variables?.[name]?.default ?? match
+  );
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) return url.replace(/\/+$/, "");
+  return `${PLACEHOLDER_HOST}${url.replace(/^\/*/, "/").replace(/\/+$/, "")}`;
+}
+
+/**
+ * Add a query parameter, repeating it for each item of an array and
+ * spreading the fields of an object (`form` style with `explode`)
+ */
+function addQuery(query, name, value) {
+  if (Array.isArray(value)) {
+    for (const item of value) query.push([name, item]);
+  } else if (value && typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) query.push([key, item]);
+  } else {
+    query.push([name, value]);
+  }
+}
+
+/**
+ * Text of a scalar value in a URL or header
+ */
+function scalar(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(scalar).join(",");
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Add the credentials of the first security requirement of an operation to
+ * a request, as placeholders
+ */
+function addSecurity(request, operation, openapi) {
+  const security = operation.security ?? openapi.security ?? [];
+  const requirement = security.find(
+    (entry) => Object.keys(entry || {}).length > 0
+  );
+  const schemes = openapi.components?.securitySchemes || {};
+
+  for (const name of Object.keys(requirement || {})) {
+    const scheme = resolve(schemes[name], openapi);
+    if (!scheme) continue;
+
+    if (scheme.type === "apiKey") {
+      const value = "<API_KEY>";
+      if (scheme.in === "query") {
+        request.query.push([scheme.name, value]);
+      } else if (scheme.in === "cookie") {
+        request.cookies.push([scheme.name, value]);
+      } else {
+        request.headers[scheme.name] = value;
+      }
+    } else if (scheme.type === "http" && /^basic$/i.test(scheme.scheme)) {
+      request.headers.Authorization = "Basic <BASE64_USER_AND_PASSWORD>";
+    } else if (scheme.type === "http") {
+      const type = /^bearer$/i.test(scheme.scheme) ? "Bearer" : scheme.scheme;
+      request.headers.Authorization = `${type} <TOKEN>`;
+    } else if (scheme.type === "oauth2" || scheme.type === "openIdConnect") {
+      request.headers.Authorization = "Bearer <ACCESS_TOKEN>";
+    }
+  }
+}
+
+/**
+ * Pick the request body media type to show, preferring JSON
+ */
+function pickMediaType(content) {
+  const types = Object.keys(content || {});
+  return (
+    types.find((type) => /^application\/(.+\+)?json\b/.test(type)) ||
+    types.find((type) => type === "application/x-www-form-urlencoded") ||
+    types.find((type) => type === "multipart/form-data") ||
+    types[0]
+  );
+}
+
+/**
+ * Describe a request to an operation, with values taken from the document
+ * or built from schemas: `{ method, url, query, headers, cookies, body }`,
+ * where `body` is `{ kind, contentType, value }` and `kind` is json, form,
+ * multipart, text or binary. `url` holds the filled-in path, without query.
+ * Values missing from the document come from `generateExample` (see
+ * createExampleGenerator in examples.js).
+ */
+export function buildRequest(
+  op,
+  openapi,
+  generateExample = createExampleGenerator()
+) {
+  const { method, path, operation, operationId } = op;
+  const examples = (key) => ({
+    generateExample,
+    key,
+    direction: "request",
+    resolve: (value) => resolve(value, openapi),
+  });
+  const request = {
+    method: method.toUpperCase(),
+    url: "",
+    query: [],
+    headers: {},
+    cookies: [],
+    body: null,
+  };
+
+  let filledPath = path;
+  const parameters = operationParameters(op, (parameter) =>
+    resolve(parameter, openapi)
+  );
+  for (const parameter of parameters) {
+    const schema = resolve(parameter.schema, openapi) || {};
+    const hasValue =
+      parameter.example !== undefined ||
+      parameter.examples ||
+      hasGivenValue(schema);
+    if (parameter.in !== "path" && !parameter.required && !hasValue) continue;
+
+    const { value } = exampleOf(
+      parameter,
+      examples(
+        exampleKey(operationId, "parameter", parameter.in, parameter.name)
+      )
+    );
+    if (parameter.in === "path") {
+      filledPath = filledPath.replace(
+        `{${parameter.name}}`,
+        encodeURIComponent(scalar(value))
+      );
+    } else if (parameter.in === "query") {
+      addQuery(request.query, parameter.name, value);
+    } else if (parameter.in === "header") {
+      request.headers[parameter.name] = scalar(value);
+    } else if (parameter.in === "cookie") {
+      request.cookies.push([parameter.name, scalar(value)]);
+    }
+  }
+  request.url = `${serverUrl(op, openapi)}${filledPath}`;
+
+  addSecurity(request, operation, openapi);
+
+  const body = resolve(operation.requestBody, openapi);
+  const contentType = pickMediaType(body?.content);
+  if (contentType) {
+    const media = resolve(body.content[contentType], openapi) || {};
+    const { value } = exampleOf(
+      media,
+      examples(exampleKey(operationId, "request", contentType))
+    );
+    const kind = /json/.test(contentType)
+      ? "json"
+      : contentType === "application/x-www-form-urlencoded"
+        ? "form"
+        : contentType === "multipart/form-data"
+          ? "multipart"
+          : /^text\/|xml/.test(contentType)
+            ? "text"
+            : "binary";
+    request.body = { kind, contentType, value };
+  }
+
+  return request;
+}
+
+/**
+ * Fields of a form body as `[name, value, isFile]`, files being the
+ * properties of binary format
+ */
+function formFields(request, openapi, operation) {
+  const { value, contentType } = request.body;
+  const schema = resolve(
+    resolve(operation.requestBody, openapi)?.content?.[contentType]?.schema,
+    openapi
+  );
+  return Object.entries(value && typeof value === "object" ? value : {}).map(
+    ([name, field]) => {
+      const property = resolve(schema?.properties?.[name], openapi);
+      const isFile =
+        property?.format === "binary" ||
+        property?.format === "base64" ||
+        property?.contentMediaType !== undefined ||
+        (property?.type === "array" &&
+          resolve(property.items, openapi)?.format === "binary");
+      return [name, isFile ? "file.bin" : scalar(field), isFile];
+    }
+  );
+}
+
+/**
+ * URL with the query string of a request
+ */
+function fullUrl(request) {
+  if (request.query.length === 0) return request.url;
+  const query = new URLSearchParams(
+    request.query.map(([name, value]) => [name, scalar(value)])
+  );
+  return `${request.url}?${query.toString().replace(/%3C|%3E/g, decodeURIComponent)}`;
+}
+
+/**
+ * Headers of a request, with cookies folded into a Cookie header and the
+ * body's content type (except multipart, where the client sets it)
+ */
+function allHeaders(request) {
+  const headers = { ...request.headers };
+  if (request.cookies.length > 0) {
+    headers.Cookie = request.cookies
+      .map(([name, value]) => `${name}=${value}`)
+      .join("; ");
+  }
+  if (request.body && request.body.kind !== "multipart") {
+    headers["Content-Type"] = request.body.contentType;
+  }
+  return headers;
+}
+
+/**
+ * Quote text for a POSIX shell
+ */
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Body of a non-JSON, non-form request as text
+ */
+function rawBody(value) {
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Render a request as a curl command
+ */
+function renderCurl(request, fields) {
+  const method =
+    request.method === "GET"
+      ? ""
+      : request.method === "HEAD"
+        ? "--head "
+        : `-X ${request.method} `;
+  const args = [`${method}${shellQuote(fullUrl(request))}`];
+
+  for (const [name, value] of Object.entries(allHeaders(request))) {
+    args.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+
+  const { body } = request;
+  if (body?.kind === "json") {
+    args.push(`-d ${shellQuote(JSON.stringify(body.value, null, 2))}`);
+  } else if (body?.kind === "form") {
+    for (const [name, value] of fields) {
+      args.push(`--data-urlencode ${shellQuote(`${name}=${value}`)}`);
+    }
+  } else if (body?.kind === "multipart") {
+    for (const [name, value, isFile] of fields) {
+      args.push(`-F ${shellQuote(`${name}=${isFile ? "@" : ""}${value}`)}`);
+    }
+  } else if (body?.kind === "binary") {
+    args.push("--data-binary @file.bin");
+  } else if (body) {
+    args.push(`-d ${shellQuote(rawBody(body.value))}`);
+  }
+
+  return `curl ${args.join(" \\\n  ")}`;
+}
+
+/**
+ * Indent every line but the first, for nesting a multi-line literal
+ */
+function indentRest(text, indent) {
+  return text.replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Render a request as JavaScript using fetch
+ */
+function renderFetch(request, fields, responseIsJson) {
+  const lines = [];
+  const options = [];
+  if (request.method !== "GET") {
+    options.push(`method: ${JSON.stringify(request.method)},`);
+  }
+
+  const headers = allHeaders(request);
+  if (Object.keys(headers).length > 0) {
+    options.push(
+      `headers: ${indentRest(JSON.stringify(headers, null, 2), "  ")},`
+    );
+  }
+
+  const { body } = request;
+  if (body?.kind === "json") {
+    options.push(
+      `body: JSON.stringify(${indentRest(
+        JSON.stringify(body.value, null, 2),
+        "  "
+      )}),`
+    );
+  } else if (body?.kind === "form") {
+    options.push(
+      `body: new URLSearchParams(${indentRest(
+        JSON.stringify(Object.fromEntries(fields), null, 2),
+        "  "
+      )}),`
+    );
+  } else if (body?.kind === "multipart") {
+    lines.push("const form = new FormData();");
+    for (const [name, value, isFile] of fields) {
+      lines.push(
+        isFile
+          ? `form.append(${JSON.stringify(
+              name
+            )}, await openAsBlob(${JSON.stringify(value)}), ${JSON.stringify(
+              value
+            )});`
+          : `form.append(${JSON.stringify(name)}, ${JSON.stringify(value)});`
+      );
+    }
+    lines.push("");
+    options.push("body: form,");
+  } else if (body?.kind === "binary") {
+    options.push('body: await openAsBlob("file.bin"),');
+  } else if (body) {
+    options.push(`body: ${JSON.stringify(rawBody(body.value))},`);
+  }
+
+  if (fields.some(([, , isFile]) => isFile) || body?.kind === "binary") {
+    lines.unshift('import { openAsBlob } from "node:fs";', "");
+  }
+
+  const url = JSON.stringify(fullUrl(request));
+  if (options.length === 0) {
+    lines.push(`const response = await fetch(${url});`);
+  } else {
+    lines.push(`const response = await fetch(${url}, {`);
+    lines.push(...options.map((option) => `  ${option}`));
+    lines.push("});");
+  }
+  lines.push(
+    responseIsJson
+      ? "const data = await response.json();"
+      : "const data = await response.text();"
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Render a value as a Python literal
+ */
+function toPython(value, indent = "") {
+  if (value === null || value === undefined) return "None";
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (typeof value !== "object") return JSON.stringify(value);
+
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    const items = value.map((item) => `${inner}${toPython(item, inner)},`);
+    return `[\n${items.join("\n")}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return "{}";
+  const items = entries.map(
+    ([key, item]) => `${inner}${JSON.stringify(key)}: ${toPython(item, inner)},`
+  );
+  return `{\n${items.join("\n")}\n${indent}}`;
+}
+
+/**
+ * Render a request as Python using requests
+ */
+function renderPython(request, fields, responseIsJson) {
+  const method = request.method.toLowerCase();
+  const call = [
+    "get",
+    "post",
+    "put",
+    "patch",
+    "delete",
+    "head",
+    "options",
+  ].includes(method)
+    ? `requests.${method}(`
+    : `requests.request(${JSON.stringify(request.method)}, `;
+
+  const args = [JSON.stringify(request.url)];
+  if (request.query.length > 0) {
+    const params = {};
+    for (const [name, value] of request.query) {
+      params[name] = name in params ? [].concat(params[name], value) : value;
+    }
+    args.push(`params=${toPython(params, "    ")}`);
+  }
+
+  // requests sets the content type of JSON and form bodies itself
+  const { body } = request;
+  const headers = allHeaders(request);
+  if (
+    (body?.kind === "json" && body.contentType === "application/json") ||
+    body?.kind === "form"
+  ) {
+    delete headers["Content-Type"];
+  }
+  if (Object.keys(headers).length > 0) {
+    args.push(`headers=${toPython(headers, "    ")}`);
+  }
+
+  if (body?.kind === "json") {
+    args.push(`json=${toPython(body.value, "    ")}`);
+  } else if (body?.kind === "form") {
+    args.push(`data=${toPython(Object.fromEntries(fields), "    ")}`);
+  } else if (body?.kind === "multipart") {
+    const data = fields.filter(([, , isFile]) => !isFile);
+    const files = fields.filter(([, , isFile]) => isFile);
+    if (data.length > 0) {
+      args.push(
+        `data=${toPython(
+          Object.fromEntries(data.map(([name, value]) => [name, value])),
+          "    "
+        )}`
+      );
+    }
+    if (files.length > 0) {
+      args.push(
+        `files={${files
+          .map(
+            ([name, value]) =>
+              `${JSON.stringify(name)}: open(${JSON.stringify(value)}, "rb")`
+          )
+          .join(", ")}}`
+      );
+    }
+  } else if (body?.kind === "binary") {
+    args.push(`data=open("file.bin", "rb")`);
+  } else if (body) {
+    args.push(`data=${JSON.stringify(rawBody(body.value))}`);
+  }
+
+  return [
+    "import requests",
+    "",
+    `response = ${call}`,
+    ...args.map((arg) => `    ${arg},`),
+    ")",
+    responseIsJson ? "print(response.json())" : "print(response.text)",
+  ].join("\n");
+}
+
+/**
+ * Languages samples can be generated in, by the name used in options:
+ * `lang` and `label` as in Redoc's `x-codeSamples`, `title` and `fence`
+ * for markdown
+ */
+export const SAMPLE_LANGUAGES = {
+  curl: { lang: "Shell", label: "curl", title: "curl", fence: "bash" },
+  fetch: {
+    lang: "JavaScript",
+    label: "fetch",
+    title: "JavaScript (fetch)",
+    fence: "js",
+  },
+  python: {
+    lang: "Python",
+    label: "requests",
+    title: "Python (requests)",
+    fence: "python",
+  },
+};
+
+const RENDERERS = {
+  curl: renderCurl,
+  fetch: renderFetch,
+  python: renderPython,
+};
+
+/**
+ * Whether the first success response of an operation is JSON
+ */
+function respondsWithJson(operation, openapi) {
+  const [, response] =
+    Object.entries(operation.responses || {}).find(([status]) =>
+      /^2/.test(status)
+    ) || [];
+  const content = resolve(response, openapi)?.content || {};
+  return Object.keys(content).some((type) => /json/.test(type));
+}
+
+/**
+ * Generate request samples for an operation of a dereferenced document, one
+ * per language in `languages` (keys of SAMPLE_LANGUAGES). Returns a list of
+ * `{ language, lang, label, title, fence, source }`.
+ */
+export function generateCodeSamples(
+  op,
+  openapi,
+  languages = Object.keys(SAMPLE_LANGUAGES),
+  { generateExample } = {}
+) {
+  const request = buildRequest(op, openapi, generateExample);
+  const fields = ["form", "multipart"].includes(request.body?.kind)
+    ? formFields(request, openapi, op.operation)
+    : [];
+  const responseIsJson = respondsWithJson(op.operation, openapi);
+
+  return languages.map((language) => ({
+    language,
+    ...SAMPLE_LANGUAGES[language],
+    source: RENDERERS[language](request, fields, responseIsJson),
+  }));
+}
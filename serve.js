@@ -0,0 +1,157 @@
+/**
+ * Local servers for development: the preview serves the generated files
+ * over HTTP, regenerating them in memory on every request, and the mock
+ * answers requests like the API would (see mock.js).
+ */
+
+import { createServer } from "http";
+import { CONTENT_TYPES } from "./handler.js";
+
+// Path of the request log on the mock server
+const REQUESTS_PATH = "/__mock/requests";
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Wrap a generated file in an HTML page for browsers, with its markdown
+ * links turned into links so the tree can be browsed from llms.txt
+ */
+export function renderPreviewPage(path, content) {
+  const body = escapeHtml(content).replace(
+    /\[([^\]\n]+)\]\(([^)\s]+)\)/g,
+    (match, text, url) =>
+      /^(https?:|[^:]*$)/.test(url)
+        ? `[<a href="${url}">${text}</a>](${url})`
+        : match
+  );
+  const home = path === "llms.txt" ? "" : `<a href="/llms.txt">llms.txt</a> / `;
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(path)}</title>
+<style>
+body { font: 14px/1.5 ui-monospace, monospace; margin: 2em auto; max-width: 60em; padding: 0 1em; }
+pre { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<p>${home}${escapeHtml(path)}</p>
+<pre>${body}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Create an HTTP server for the files returned by `generate`, which is
+ * called for every request so changes to the spec show up on reload.
+ * Browsers (asking for HTML) get each file as a page with clickable links;
+ * other clients get it as-is with its content type.
+ */
+export function createPreviewServer(generate) {
+  return createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    let path;
+    try {
+      path = decodeURIComponent(url.pathname).replace(/^\/+/, "");
+    } catch {
+      response.writeHead(400, { "Content-Type": CONTENT_TYPES.txt });
+      response.end("Malformed path\n");
+      return;
+    }
+    if (path === "") path = "llms.txt";
+
+    let files;
+    try {
+      files = await generate();
+    } catch (error) {
+      response.writeHead(500, { "Content-Type": CONTENT_TYPES.txt });
+      response.end(`${error.message}\n`);
+      return;
+    }
+
+    const file = Object.hasOwn(files, path) ? files[path] : null;
+    if (!file) {
+      response.writeHead(404, { "Content-Type": CONTENT_TYPES.txt });
+      response.end(`Not found: /${path}\n`);
+      return;
+    }
+
+    const browser = /text\/html/.test(request.headers.accept || "");
+    response.writeHead(200, {
+      "Content-Type": browser
+        ? "text/html; charset=utf-8"
+        : CONTENT_TYPES[path.split(".").pop()] || CONTENT_TYPES.txt,
+      "Cache-Control": "no-store",
+    });
+    response.end(
+      browser ? renderPreviewPage(path, file.content) : file.content
+    );
+  });
+}
+
+/**
+ * Create an HTTP server for a mock from createMock. The request log is
+ * served as JSON at `/__mock/requests`, and cleared by a DELETE to it.
+ * `onRequest` is called with each log entry once it is answered.
+ */
+export function createMockServer(mock, { onRequest = () => {} } = {}) {
+  return createServer((request, response) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => {
+      const send = ({ status, headers, body }) => {
+        response.writeHead(status, headers);
+        response.end(body);
+      };
+
+      if (request.url.split("?")[0] === REQUESTS_PATH) {
+        if (request.method === "DELETE") {
+          mock.clearRequests();
+          send({ status: 204, headers: {}, body: "" });
+        } else {
+          send({
+            status: 200,
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(mock.requests, null, 2),
+          });
+        }
+        return;
+      }
+
+      // One bad request must not take the server down
+      try {
+        const result = mock.handle({
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: Buffer.concat(chunks).toString("utf8"),
+        });
+        send(result);
+        onRequest(mock.requests[mock.requests.length - 1]);
+      } catch (error) {
+        if (!response.headersSent) {
+          response.writeHead(500, { "Content-Type": "application/json" });
+        }
+        response.end(
+          JSON.stringify(
+            { error: "internal_error", message: error.message },
+            null,
+            2
+          )
+        );
+      }
+    });
+  });
+}
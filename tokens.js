@@ -0,0 +1,93 @@
+/**
+ * Offline token counting. The default counter is a heuristic; a BPE counter
+ * can be built from a locally shipped tiktoken-style ranks file.
+ */
+
+// Pre-tokenization used by cl100k-style tokenizers
+const PIECES =
+  /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+/**
+ * Estimate the token count of text without a vocabulary: words cost about
+ * one token per four characters, punctuation and whitespace runs one each
+ */
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECES)) {
+    tokens += Math.max(1, Math.ceil(piece.trim().length / 4));
+  }
+  return tokens;
+}
+
+/**
+ * Parse a tiktoken-style ranks file: one `<base64 token> <rank>` per line
+ */
+export function parseBpeRanks(text) {
+  const ranks = new Map();
+  for (const line of text.split("\n")) {
+    const [token, rank] = line.trim().split(/\s+/);
+    if (!token || rank === undefined) continue;
+    ranks.set(atob(token), Number(rank));
+  }
+  return ranks;
+}
+
+/**
+ * Number of BPE tokens for one pre-tokenized piece, given as a binary string
+ */
+function bytePairCount(bytes, ranks) {
+  if (ranks.has(bytes)) return 1;
+
+  const parts = Array.from(bytes);
+  while (parts.length > 1) {
+    let best = -1;
+    let bestRank = Infinity;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const rank = ranks.get(parts[i] + parts[i + 1]);
+      if (rank !== undefined && rank < bestRank) {
+        best = i;
+        bestRank = rank;
+      }
+    }
+    if (best === -1) break;
+    parts.splice(best, 2, parts[best] + parts[best + 1]);
+  }
+  return parts.length;
+}
+
+// Pieces whose counts a BPE counter remembers before it starts over, so
+// long-running servers do not grow without bound
+const MAX_CACHED_PIECES = 50000;
+
+/**
+ * Create a counter that applies byte pair encoding with the given ranks
+ */
+export function createBpeCounter(ranks) {
+  const encoder = new TextEncoder();
+  const cache = new Map();
+
+  return (text) => {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PIECES)) {
+      if (!cache.has(piece)) {
+        // One byte at a time: pieces can be too long to spread as arguments
+        let bytes = "";
+        for (const byte of encoder.encode(piece)) {
+          bytes += String.fromCharCode(byte);
+        }
+        if (cache.size >= MAX_CACHED_PIECES) cache.clear();
+        cache.set(piece, bytePairCount(bytes, ranks));
+      }
+      tokens += cache.get(piece);
+    }
+    return tokens;
+  };
+}
+
+/**
+ * Format a token count for llms.txt, e.g. `~850 tokens` or `~1.2k tokens`
+ */
+export function formatTokens(tokens) {
+  if (tokens < 1000) return `~${tokens} tokens`;
+  return `~${(tokens / 1000).toFixed(1).replace(/\.0$/, "")}k tokens`;
+}
@@ -0,0 +1,247 @@
+/**
+ * Tool / function-calling definitions for LLMs, one per operation.
+ */
+
+import { operationParameters } from "./operations.js";
+
+const PRESETS = {
+  anthropic: {
+    format: ({ name, description, schema }) => ({
+      name,
+      description,
+      input_schema: schema,
+    }),
+  },
+  openai: {
+    maxDescriptionLength: 1024,
+    format: ({ name, description, schema }) => ({
+      type: "function",
+      function: { name, description, parameters: schema },
+    }),
+  },
+  gemini: {
+    // Gemini takes a single `type` and marks nullable values with `nullable`
+    nullableKeyword: true,
+    format: ({ name, description, schema }) => ({
+      name,
+      description,
+      parameters: schema,
+    }),
+  },
+  mcp: {
+    format: ({ name, description, schema }) => ({
+      name,
+      description,
+      inputSchema: schema,
+    }),
+  },
+};
+
+export const TOOL_PRESETS = Object.keys(PRESETS);
+
+const MAX_NAME_LENGTH = 64;
+
+// Keywords that only make sense in OpenAPI documents, not in tool schemas
+const OPENAPI_ONLY_KEYS = new Set([
+  "nullable",
+  "discriminator",
+  "xml",
+  "externalDocs",
+  "example",
+  "examples",
+  "readOnly",
+  "writeOnly",
+  "deprecated",
+]);
+
+/**
+ * Turn an operationId into a valid tool name: letters, digits, `_` and `-`,
+ * starting with a letter, at most 64 characters
+ */
+export function sanitizeToolName(name, maxLength = MAX_NAME_LENGTH) {
+  let sanitized = name.replace(/[^a-zA-Z0-9_-]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!/^[a-zA-Z]/.test(sanitized)) sanitized = `op_${sanitized}`;
+  return sanitized.slice(0, maxLength);
+}
+
+/**
+ * Convert a dereferenced OpenAPI schema to plain JSON Schema for tool input:
+ * `nullable` becomes a `null` type, read-only properties are dropped and
+ * circular refs left by dereferencing become untyped objects. With
+ * `nullableKeyword`, schemas keep a single `type` and `nullable: true`
+ * instead, `null` types included.
+ */
+function toJsonSchema(schema, options = {}, stack = []) {
+  if (!schema || typeof schema !== "object") return {};
+  if (schema.$ref) {
+    return {
+      type: "object",
+      description: `Recursive ${schema.$ref.split("/").pop()}`,
+    };
+  }
+  if (stack.includes(schema)) return { type: "object" };
+
+  const nextStack = [...stack, schema];
+  const out = {};
+
+  for (const [key, value] of Object.entries(schema)) {
+    if (OPENAPI_ONLY_KEYS.has(key) || key.startsWith("x-")) continue;
+
+    if (key === "properties") {
+      out.properties = {};
+      for (const [name, property] of Object.entries(value || {})) {
+        if (property?.readOnly) continue;
+        out.properties[name] = toJsonSchema(property, options, nextStack);
+      }
+    } else if (["items", "not", "additionalProperties"].includes(key)) {
+      out[key] =
+        typeof value === "object"
+          ? toJsonSchema(value, options, nextStack)
+          : value;
+    } else if (["allOf", "oneOf", "anyOf"].includes(key)) {
+      out[key] = value.map((item) => toJsonSchema(item, options, nextStack));
+    } else {
+      out[key] = value;
+    }
+  }
+
+  if (Array.isArray(out.required) && out.properties) {
+    out.required = out.required.filter((name) => name in out.properties);
+    if (out.required.length === 0) delete out.required;
+  }
+
+  if (options.nullableKeyword) {
+    // OpenAPI 3.1 lists types, e.g. ["string", "null"]
+    const types = [].concat(out.type ?? []);
+    const nullable = schema.nullable || types.includes("null");
+    const nonNull = types.filter((type) => type !== "null");
+    if (nonNull.length > 1) {
+      delete out.type;
+      out.anyOf = nonNull.map((type) => ({ type }));
+    } else if (Array.isArray(out.type)) {
+      if (nonNull.length === 1) out.type = nonNull[0];
+      else delete out.type;
+    }
+    if (nullable) out.nullable = true;
+  } else if (schema.nullable && out.type && !Array.isArray(out.type)) {
+    out.type = [out.type, "null"];
+  }
+
+  return out;
+}
+
+/**
+ * Merge path, query and header parameters (including those of the path
+ * item) and the JSON request body of an operation into one input schema.
+ * Parameters sharing a name in different places are prefixed with where
+ * they go, like `path_id` and `query_id`. Body properties sit next to the
+ * parameters unless their names clash, in which case the body is nested
+ * under `body`. `options` are those of toJsonSchema.
+ */
+export function operationInputSchema(operation, pathItem, options = {}) {
+  const schema = { type: "object", properties: {}, required: [] };
+  const parameters = operationParameters({ operation, pathItem }).filter(
+    (parameter) => !parameter.$ref && parameter.in !== "cookie"
+  );
+  const counts = new Map();
+  for (const { name } of parameters) {
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+
+  for (const parameter of parameters) {
+    const name =
+      counts.get(parameter.name) > 1
+        ? `${parameter.in}_${parameter.name}`
+        : parameter.name;
+
+    const property = toJsonSchema(
+      parameter.schema ||
+        Object.values(parameter.content || {})[0]?.schema ||
+        {},
+      options
+    );
+    if (parameter.description && !property.description) {
+      property.description = parameter.description;
+    }
+    if (name !== parameter.name) {
+      property.description = [
+        `The ${parameter.in} parameter \`${parameter.name}\`.`,
+        property.description,
+      ]
+        .filter(Boolean)
+        .join(" ");
+    }
+    schema.properties[name] = property;
+    if (parameter.required) schema.required.push(name);
+  }
+
+  const content = operation.requestBody?.content || {};
+  const mediaType =
+    Object.keys(content).find((type) => /json/.test(type)) ||
+    Object.keys(content)[0];
+  if (mediaType) {
+    const body = toJsonSchema(content[mediaType].schema || {}, options);
+    const names = Object.keys(body.properties || {});
+    const clashes = names.some((name) => name in schema.properties);
+
+    if (body.type === "object" && names.length > 0 && !clashes) {
+      Object.assign(schema.properties, body.properties);
+      if (operation.requestBody.required) {
+        schema.required.push(...(body.required || []));
+      }
+    } else {
+      schema.properties.body = body;
+      if (operation.requestBody.required) schema.required.push("body");
+    }
+  }
+
+  if (schema.required.length === 0) delete schema.required;
+  return schema;
+}
+
+/**
+ * Build tool definitions for operations collected from a dereferenced
+ * document, in the JSON shape of the given preset. Names are sanitized and
+ * made unique.
+ */
+export function toToolDefinitions(operations, { preset = "anthropic" } = {}) {
+  const config = PRESETS[preset];
+  if (!config) {
+    throw new Error(
+      `Unknown tools preset "${preset}", use one of: ${TOOL_PRESETS.join(", ")}`
+    );
+  }
+
+  const used = new Set();
+
+  return operations.map(
+    ({ operationId, method, path, operation, pathItem }) => {
+      let name = sanitizeToolName(operationId);
+      for (let i = 2; used.has(name.toLowerCase()); i++) {
+        const suffix = `_${i}`;
+        name = `${sanitizeToolName(operationId, MAX_NAME_LENGTH - suffix.length)}${suffix}`;
+      }
+      used.add(name.toLowerCase());
+
+      let description =
+        [operation.summary, operation.description]
+          .filter(Boolean)
+          .map((text) => text.trim())
+          .join("\n\n") || `${method.toUpperCase()} ${path}`;
+      if (
+        config.maxDescriptionLength &&
+        description.length > config.maxDescriptionLength
+      ) {
+        description = `${description.slice(0, config.maxDescriptionLength - 3)}...`;
+      }
+
+      return config.format({
+        name,
+        description,
+        schema: operationInputSchema(operation, pathItem, {
+          nullableKeyword: config.nullableKeyword,
+        }),
+      });
+    }
+  );
+}
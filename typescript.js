@@ -0,0 +1,409 @@
+/**
+ * Compact rendering of operations as TypeScript-like declarations, an
+ * alternative to the OpenAPI YAML of operation and tag files that spends
+ * far fewer tokens on deeply nested schemas.
+ */
+
+import { resolveRefSync } from "./deref.js";
+import { operationParameters } from "./operations.js";
+import { closeRefs } from "./refs.js";
+
+const MAX_DEPTH = 12;
+
+const PARAMETER_GROUPS = {
+  path: "path",
+  query: "query",
+  header: "headers",
+  cookie: "cookies",
+};
+
+/**
+ * Name of the component a `$ref` points at
+ */
+function refName(ref) {
+  return ref.split("/").pop().replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * A name usable as a TypeScript identifier
+ */
+function identifier(name) {
+  const cleaned = String(name).replace(/[^A-Za-z0-9_$]+/g, "_");
+  return /^[0-9]/.test(cleaned) ? `_${cleaned}` : cleaned || "_";
+}
+
+/**
+ * A property key, quoted unless it is a plain identifier
+ */
+function propertyKey(name) {
+  return /^([A-Za-z_$][A-Za-z0-9_$]*|[1-9][0-9]*)$/.test(name)
+    ? name
+    : JSON.stringify(name);
+}
+
+/**
+ * A JSDoc comment from a description and further lines (`@tag value` or
+ * plain text), on one line when it fits
+ */
+function jsDoc(description, tags, indent) {
+  const lines = [
+    ...(description ? description.trim().split(/\s*\n\s*/) : []),
+    ...tags,
+  ].map((line) => line.replace(/\*\//g, "*\\/"));
+  if (lines.length === 0) return "";
+  // Tags can follow a one-line description, as in JSDoc
+  const inline =
+    lines.length === 1 ||
+    (lines.length - tags.length <= 1 &&
+      tags.every((tag) => tag.startsWith("@")));
+  if (inline && lines.join(" ").length <= 72) {
+    return `${indent}/** ${lines.join(" ")} */\n`;
+  }
+  return `${indent}/**\n${lines
+    .map((line) => `${indent} * ${line}`)
+    .join("\n")}\n${indent} */\n`;
+}
+
+/**
+ * What TypeScript types cannot say about a schema, as JSDoc tags
+ */
+function schemaTags(schema) {
+  if (!schema || typeof schema !== "object") return [];
+  const tags = [];
+  if (schema.format) tags.push(`@format ${schema.format}`);
+  if (schema.default !== undefined) {
+    tags.push(`@default ${JSON.stringify(schema.default)}`);
+  }
+  for (const key of [
+    "minimum",
+    "maximum",
+    "exclusiveMinimum",
+    "exclusiveMaximum",
+    "multipleOf",
+    "minLength",
+    "maxLength",
+    "pattern",
+    "minItems",
+    "maxItems",
+  ]) {
+    if (schema[key] !== undefined && typeof schema[key] !== "boolean") {
+      tags.push(`@${key} ${schema[key]}`);
+    } else if (schema[key] === true) {
+      tags.push(`@${key}`);
+    }
+  }
+  if (schema.readOnly) tags.push("@readonly");
+  if (schema.writeOnly) tags.push("@writeonly");
+  if (schema.deprecated) tags.push("@deprecated");
+  return tags;
+}
+
+/**
+ * Whether a type is a union (or, with `operator` "&", an intersection) at
+ * its top level, outside any braces or brackets
+ */
+function isCompound(type, operator = "|") {
+  let depth = 0;
+  for (let i = 0; i < type.length; i++) {
+    if ("{([<".includes(type[i])) depth++;
+    else if ("})]>".includes(type[i])) depth--;
+    else if (depth === 0 && type.startsWith(` ${operator} `, i)) return true;
+  }
+  return false;
+}
+
+/**
+ * Wrap a union or intersection in parentheses, for use in `T[]` or `A & B`
+ */
+function group(type, operators = ["|", "&"]) {
+  return operators.some((operator) => isCompound(type, operator))
+    ? `(${type})`
+    : type;
+}
+
+/**
+ * Follow a `$ref` in the document, keeping the fields next to it (OpenAPI
+ * 3.1), which override those of its target
+ */
+function follow(value, openapi) {
+  for (let hops = 0; value?.$ref && hops < 10; hops++) {
+    const target = resolveRefSync(openapi, value.$ref);
+    if (!target || typeof target !== "object") return null;
+    const { $ref, ...siblings } = value;
+    value = { ...target, ...siblings };
+  }
+  return value;
+}
+
+/**
+ * Render a schema as a TypeScript type, as if dereferenced: `$ref`s are
+ * expanded in place, except those to recursive schemas (see
+ * recursiveRefs), which are rendered by name and added to `context.names`
+ * so their declarations can be added once.
+ */
+export function schemaToTypeScript(schema, context, indent = "", stack = []) {
+  const { openapi, recursive, names } = context;
+  if (schema?.$ref && recursive.has(schema.$ref)) {
+    names.add(schema.$ref);
+    return identifier(refName(schema.$ref));
+  }
+  schema = follow(schema, openapi);
+  if (!schema || typeof schema !== "object") {
+    return schema === false ? "never" : "unknown";
+  }
+  if (stack.includes(schema) || stack.length >= MAX_DEPTH) return "unknown";
+  const nextStack = [...stack, schema];
+  const render = (child) =>
+    schemaToTypeScript(child, context, indent, nextStack);
+
+  let type;
+  if (schema.const !== undefined) {
+    type = JSON.stringify(schema.const);
+  } else if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    type = schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  } else if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+    type = (schema.oneOf || schema.anyOf).map(render).join(" | ");
+  } else if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const parts = allOf.map(render);
+    if (rest.properties || rest.additionalProperties) parts.push(render(rest));
+    type = parts.map((part) => group(part, ["|"])).join(" & ");
+  } else {
+    const types = [].concat(
+      schema.type ??
+        (schema.properties || schema.additionalProperties
+          ? "object"
+          : schema.items
+            ? "array"
+            : [])
+    );
+    type =
+      types
+        .filter((name) => name !== "null")
+        .map((name) => {
+          switch (name) {
+            case "string":
+              return "string";
+            case "integer":
+            case "number":
+              return "number";
+            case "boolean":
+              return "boolean";
+            case "array":
+              return `${group(render(schema.items))}[]`;
+            case "object":
+              return objectType(schema, context, indent, nextStack);
+            default:
+              return "unknown";
+          }
+        })
+        .join(" | ") || (types.includes("null") ? "" : "unknown");
+    if (types.includes("null")) type = type ? `${type} | null` : "null";
+  }
+
+  if (schema.nullable && !/\bnull$/.test(type)) {
+    type = `${group(type, ["&"])} | null`;
+  }
+  return type;
+}
+
+/**
+ * Render an object schema as a type literal, one property per line with
+ * its description as JSDoc
+ */
+function objectType(schema, context, indent, stack) {
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const lines = [];
+
+  for (const [name, entry] of Object.entries(schema.properties || {})) {
+    const property = follow(entry, context.openapi);
+    const type = schemaToTypeScript(entry, context, inner, stack);
+    lines.push(
+      jsDoc(property?.description, schemaTags(property), inner) +
+        `${inner}${propertyKey(name)}${required.has(name) ? "" : "?"}: ${type};`
+    );
+  }
+
+  const additional = schema.additionalProperties;
+  if (additional && typeof additional === "object") {
+    const type = schemaToTypeScript(additional, context, inner, stack);
+    if (lines.length === 0) return `Record<string, ${type}>`;
+    lines.push(`${inner}[key: string]: ${type};`);
+  }
+
+  if (lines.length === 0) return "Record<string, unknown>";
+  return `{\n${lines.join("\n")}\n${indent}}`;
+}
+
+/**
+ * Pick the media type to show, preferring JSON
+ */
+function pickMediaType(content) {
+  const types = Object.keys(content || {});
+  return (
+    types.find((type) => /^application\/(.+\+)?json\b/.test(type)) || types[0]
+  );
+}
+
+/**
+ * Render the request of an operation as a type literal: its parameters by
+ * location, then its body
+ */
+function requestType(op, context) {
+  const lines = [];
+  const groups = new Map();
+  for (const parameter of operationParameters(op, (parameter) =>
+    follow(parameter, context.openapi)
+  )) {
+    const key = PARAMETER_GROUPS[parameter.in];
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(parameter);
+  }
+
+  for (const [key, parameters] of groups) {
+    const fields = parameters.map((parameter) => {
+      const entry =
+        parameter.schema || Object.values(parameter.content || {})[0]?.schema;
+      const schema = follow(entry, context.openapi);
+      const tags = [...schemaTags(schema)];
+      if (parameter.deprecated) tags.push("@deprecated");
+      return (
+        jsDoc(parameter.description, tags, "      ") +
+        `      ${propertyKey(parameter.name)}${
+          parameter.required ? "" : "?"
+        }: ${schemaToTypeScript(entry, context, "      ")};`
+      );
+    });
+    const optional = parameters.every((parameter) => !parameter.required);
+    lines.push(
+      `    ${key}${optional ? "?" : ""}: {\n${fields.join("\n")}\n    };`
+    );
+  }
+
+  const body = follow(op.operation.requestBody, context.openapi);
+  const mediaType = pickMediaType(body?.content);
+  if (mediaType) {
+    const type = schemaToTypeScript(
+      body.content[mediaType]?.schema,
+      context,
+      "    "
+    );
+    lines.push(
+      jsDoc(body.description, [Object.keys(body.content).join(", ")], "    ") +
+        `    body${body.required ? "" : "?"}: ${type};`
+    );
+  }
+
+  return lines.length > 0 ? `{\n${lines.join("\n")}\n  }` : "{}";
+}
+
+/**
+ * Render the responses of an operation as a type literal keyed by status
+ */
+function responsesType(op, context) {
+  const lines = [];
+  for (const [status, entry] of Object.entries(op.operation.responses || {})) {
+    const response = follow(entry, context.openapi);
+    if (!response || typeof response !== "object") continue;
+    const mediaType = pickMediaType(response.content);
+    const type = mediaType
+      ? schemaToTypeScript(response.content[mediaType]?.schema, context, "    ")
+      : "void";
+    const description = [
+      response.description,
+      mediaType && `(${Object.keys(response.content).join(", ")})`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    lines.push(
+      jsDoc(description, [], "    ") + `    ${propertyKey(status)}: ${type};`
+    );
+  }
+  return lines.length > 0 ? `{\n${lines.join("\n")}\n  }` : "{}";
+}
+
+/**
+ * Render one operation (or webhook) as an interface of its request and
+ * responses, named after its operationId
+ */
+function renderOperation(op, context) {
+  const { method, path, operation, operationId, webhook } = op;
+  const security = (operation.security ?? context.openapi.security ?? [])
+    .filter((requirement) => Object.keys(requirement || {}).length > 0)
+    .map((requirement) => Object.keys(requirement).join(" & "));
+
+  const doc = jsDoc(
+    [operation.summary, operation.description].filter(Boolean).join("\n\n"),
+    [
+      webhook
+        ? `Webhook ${webhook}: ${method.toUpperCase()} request sent by the API`
+        : `${method.toUpperCase()} ${path}`,
+      ...(operation.tags?.length ? [`Tags: ${operation.tags.join(", ")}`] : []),
+      ...(security.length > 0 ? [`Security: ${security.join(" or ")}`] : []),
+      ...(operation.deprecated ? ["@deprecated"] : []),
+    ],
+    ""
+  );
+
+  return `${doc}export interface ${identifier(
+    operationId
+  )} {\n  request: ${requestType(
+    op,
+    context
+  )};\n  responses: ${responsesType(op, context)};\n}\n`;
+}
+
+/**
+ * Refs of the components that refer to themselves, directly or through
+ * others, given the document's reference graph (see buildRefGraph in
+ * refs.js)
+ */
+export function recursiveRefs(graph) {
+  const recursive = new Set();
+  for (const [ref, refs] of graph) {
+    if (closeRefs(refs, graph).has(ref)) recursive.add(ref);
+  }
+  return recursive;
+}
+
+/**
+ * Render operations of a bundled document as TypeScript-like declarations:
+ * one interface per operation with its request (parameters by location,
+ * body) and responses by status, descriptions as JSDoc and optional fields
+ * marked `?`. `oneOf`/`anyOf` become unions and `allOf` intersections.
+ * Schemas are expanded in place, except recursive ones (`recursive`, see
+ * recursiveRefs), which are declared once as named types. `title` heads
+ * the file.
+ */
+export function renderOperationsTypeScript(
+  operations,
+  openapi,
+  { title, recursive = new Set() }
+) {
+  const context = { openapi, recursive, names: new Set() };
+  const header = [`// ${title}`];
+  if (openapi.servers?.[0]?.url) {
+    header.push(`// Base URL: ${openapi.servers[0].url}`);
+  }
+
+  const blocks = operations.map((op) => renderOperation(op, context));
+
+  // Declare every recursive schema used; `names` grows as they are rendered
+  const declared = new Set();
+  for (const ref of context.names) {
+    if (declared.has(ref)) continue;
+    declared.add(ref);
+    const schema = follow({ $ref: ref }, openapi);
+    blocks.push(
+      jsDoc(schema?.description, schemaTags(schema), "") +
+        `export type ${identifier(refName(ref))} = ${schemaToTypeScript(
+          schema,
+          context
+        )};\n`
+    );
+  }
+
+  return [`${header.join("\n")}\n`, ...blocks].join("\n");
+}
@@ -0,0 +1,100 @@
+/**
+ * Structural validation of generated OpenAPI subsets: every file must be a
+ * standalone OpenAPI 3.x document.
+ */
+
+import { resolveRefSync } from "./deref.js";
+import { METHODS, operationParameters } from "./operations.js";
+import { collectRefs } from "./refs.js";
+
+/**
+ * Check that a document can be used on its own: required top-level fields,
+ * resolvable `$ref`s, declared path parameters and security schemes.
+ * Returns a list of problems, empty when the document is valid.
+ */
+export function validateOpenAPI(openapi) {
+  const problems = [];
+
+  if (!/^3\.\d+\.\d+/.test(String(openapi.openapi || ""))) {
+    problems.push("`openapi` must be a 3.x version string");
+  }
+  const is31 = /^3\.1\./.test(String(openapi.openapi || ""));
+
+  if (!openapi.info?.title) problems.push("`info.title` is required");
+  if (openapi.info?.version === undefined) {
+    problems.push("`info.version` is required");
+  }
+
+  if (is31) {
+    if (!openapi.paths && !openapi.webhooks && !openapi.components) {
+      problems.push("one of `paths`, `webhooks` or `components` is required");
+    }
+  } else if (!openapi.paths || typeof openapi.paths !== "object") {
+    problems.push("`paths` is required");
+  }
+
+  for (const ref of collectRefs(openapi)) {
+    if (!ref.startsWith("#")) {
+      problems.push(`$ref "${ref}" points outside the document`);
+    } else if (resolveRefSync(openapi, ref) === null) {
+      problems.push(`$ref "${ref}" does not resolve`);
+    }
+  }
+
+  const schemes = openapi.components?.securitySchemes || {};
+  const checkSecurity = (requirements, where) => {
+    for (const requirement of requirements || []) {
+      for (const name of Object.keys(requirement || {})) {
+        if (!schemes[name]) {
+          problems.push(`${where} uses undefined security scheme "${name}"`);
+        }
+      }
+    }
+  };
+  checkSecurity(openapi.security, "`security`");
+
+  const resolve = (value) =>
+    value?.$ref ? resolveRefSync(openapi, value.$ref) : value;
+
+  for (const [source, items] of [
+    ["paths", openapi.paths],
+    ["webhooks", openapi.webhooks],
+  ]) {
+    for (const [path, pathItem] of Object.entries(items || {})) {
+      if (!pathItem || typeof pathItem !== "object") continue;
+
+      const templated =
+        source === "paths"
+          ? [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1])
+          : [];
+
+      for (const method of METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+
+        const where = `${method.toUpperCase()} ${path}`;
+        if (!is31 && !operation.responses) {
+          problems.push(`${where} has no \`responses\``);
+        }
+        checkSecurity(operation.security, where);
+
+        const parameters = operationParameters(
+          { operation, pathItem },
+          resolve
+        );
+        for (const name of templated) {
+          const parameter = parameters.find(
+            (p) => p.in === "path" && p.name === name
+          );
+          if (!parameter) {
+            problems.push(`${where} does not define path parameter "${name}"`);
+          } else if (parameter.required !== true) {
+            problems.push(`${where} path parameter "${name}" must be required`);
+          }
+        }
+      }
+    }
+  }
+
+  return problems;
+}